@@ -8,9 +8,51 @@ const RESTClient = require('./lib/RESTClient');
 const FusionAuthClient = require('./lib/FusionAuthClient');
 const ClientResponse = require('./lib/ClientResponse');
 const JWTManager = require('./lib/JWTManager');
+const JWTVerifier = require('./lib/JWTVerifier');
+const InvalidJWTError = require('./lib/InvalidJWTError');
+const MemoryRevocationStore = require('./lib/MemoryRevocationStore');
+const FileRevocationStore = require('./lib/FileRevocationStore');
+const FusionAuthError = require('./lib/FusionAuthError');
+const Paginator = require('./lib/Paginator');
+const ProxyAgent = require('./lib/ProxyAgent');
+const RetryPolicy = require('./lib/RetryPolicy');
+const TimeoutError = require('./lib/TimeoutError');
+const AbortError = require('./lib/AbortError');
+const AuthenticationMiddleware = require('./lib/AuthenticationMiddleware');
+const PKCE = require('./lib/PKCE');
+const IdTokenValidator = require('./lib/IdTokenValidator');
+const TokenSet = require('./lib/TokenSet');
+const ClientCredentialsProvider = require('./lib/ClientCredentialsProvider');
+const WebhookVerifier = require('./lib/WebhookVerifier');
+const WebhookReceiver = require('./lib/WebhookReceiver');
 
 /* Expose everything */
 exports.RESTClient = RESTClient;
 exports.FusionAuthClient = FusionAuthClient;
 exports.ClientResponse = ClientResponse;
 exports.JWTManager = JWTManager;
+exports.JWTVerifier = JWTVerifier;
+exports.InvalidJWTError = InvalidJWTError;
+exports.MemoryRevocationStore = MemoryRevocationStore;
+exports.FileRevocationStore = FileRevocationStore;
+exports.FusionAuthError = FusionAuthError;
+exports.ValidationError = FusionAuthError.ValidationError;
+exports.UnauthorizedError = FusionAuthError.UnauthorizedError;
+exports.NotFoundError = FusionAuthError.NotFoundError;
+exports.RateLimitedError = FusionAuthError.RateLimitedError;
+exports.NetworkError = FusionAuthError.NetworkError;
+exports.Paginator = Paginator;
+exports.ProxyAgent = ProxyAgent;
+exports.RetryPolicy = RetryPolicy;
+exports.TimeoutError = TimeoutError;
+exports.AbortError = AbortError;
+exports.AuthenticationMiddleware = AuthenticationMiddleware;
+exports.PKCE = PKCE;
+exports.IdTokenValidator = IdTokenValidator;
+exports.TokenSet = TokenSet;
+exports.ClientCredentialsProvider = ClientCredentialsProvider;
+exports.WebhookVerifier = WebhookVerifier;
+exports.WebhookReceiver = WebhookReceiver;
+
+/* Expose the enums, for example EventType and KeyAlgorithm */
+Object.keys(FusionAuthClient.enums).forEach((name) => exports[name] = FusionAuthClient.enums[name]);
@@ -0,0 +1,36 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * The error set as the <code>exception</code> of a ClientResponse when the request was cancelled using an AbortSignal.
+ */
+class AbortError extends Error {
+  /**
+   * @param {*} [reason] The reason of the AbortSignal, if any.
+   */
+  constructor(reason) {
+    super('The request was aborted.');
+    this.name = 'AbortError';
+    /** @type {string} */
+    this.code = 'ABORT_ERR';
+    /** @type {*} */
+    this.reason = typeof reason === 'undefined' ? null : reason;
+  }
+}
+
+module.exports = AbortError;
@@ -0,0 +1,294 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const FusionAuthError = require('./FusionAuthError.js');
+const InvalidJWTError = require('./InvalidJWTError.js');
+const JWTManager = require('./JWTManager.js');
+
+/**
+ * @typedef {Object} AuthenticationOptions
+ *
+ * @property {FusionAuthClient} client The client used to validate the JWTs (when there is no verifier) and to refresh
+ *    them.
+ * @property {JWTVerifier} [verifier] Verifies the JWTs locally instead of calling the JWT validate API.
+ * @property {Array<string>} [roles] The roles the user must have (from the roles claim), any one of them by default.
+ * @property {boolean} [requireAllRoles=false] Whether the user must have all the roles.
+ * @property {string} [applicationId] The application the JWT must have been issued for (the applicationId or aud claim).
+ * @property {string} [cookieName=app.at] The cookie holding the access token, used when there is no Authorization header.
+ * @property {string} [refreshCookieName=app.rt] The cookie holding the refresh token.
+ * @property {boolean} [refresh=false] Whether an invalid access token from a cookie is refreshed using the refresh token
+ *    cookie. The new tokens are written back as cookies.
+ * @property {string} [clientId] The client id used to refresh the access token, defaults to the applicationId.
+ * @property {string} [clientSecret] The client secret used to refresh the access token.
+ * @property {CookieOptions} [cookieOptions] The attributes of the cookies written when a token is refreshed.
+ * @property {string} [property=user] The property of the request the claims of the JWT are set to.
+ * @property {function(Object, Object, Function, AuthenticationFailure)} [onFailure] Called instead of responding with
+ *    the status code of the failure.
+ */
+
+/**
+ * @typedef {Object} CookieOptions
+ *
+ * @property {string} [path=/]
+ * @property {string} [domain]
+ * @property {boolean} [secure=true]
+ * @property {boolean} [httpOnly=true]
+ * @property {string} [sameSite=Lax]
+ */
+
+/**
+ * @typedef {Object} AuthenticationFailure
+ *
+ * @property {number} statusCode 401 if the request is not authenticated, 403 if the user lacks the required roles.
+ * @property {string} reason Why the request was rejected, for example missing, expired, revoked or forbidden.
+ */
+
+const AuthenticationMiddleware = {
+
+  /**
+   * Creates an Express/Connect middleware that authenticates requests using a FusionAuth access token. The token is
+   * read from the <code>Authorization: Bearer</code> header or else from the access token cookie. It is verified using
+   * the verifier or the JWT validate API, checked against the revocations of {@link JWTManager} and the claims are set
+   * to <code>req.user</code>. Requests that are not authenticated are rejected with 401 and requests of users that
+   * lack the required roles with 403.
+   *
+   * <pre>
+   *   app.use('/admin', AuthenticationMiddleware.create({client: client, applicationId: appId, roles: ['admin']}));
+   * </pre>
+   *
+   * @param {AuthenticationOptions} options The options.
+   * @returns {function(Object, Object, Function)} The middleware.
+   */
+  create: function(options) {
+    if (!options || !options.client) {
+      throw new Error('The client option is required.');
+    }
+
+    const settings = {
+      client: options.client,
+      verifier: options.verifier || null,
+      roles: options.roles || [],
+      requireAllRoles: options.requireAllRoles === true,
+      applicationId: options.applicationId || null,
+      cookieName: options.cookieName || 'app.at',
+      refreshCookieName: options.refreshCookieName || 'app.rt',
+      refresh: options.refresh === true,
+      clientId: options.clientId || null,
+      clientSecret: options.clientSecret || null,
+      cookieOptions: options.cookieOptions || null,
+      property: options.property || 'user',
+      onFailure: options.onFailure || null
+    };
+    // The failures are handled here, whatever the failure mode of the client
+    const client = options.client.withOptions({failureMode: 'resolve'});
+
+    return function(req, res, next) {
+      AuthenticationMiddleware._authenticate(settings, client, req, res).then((failure) => {
+        if (failure === null) {
+          next();
+        } else if (settings.onFailure) {
+          settings.onFailure(req, res, next, failure);
+        } else {
+          AuthenticationMiddleware._reject(res, failure);
+        }
+      }).catch(next);
+    };
+  },
+
+  /**
+   * @param {AuthenticationOptions} settings The options.
+   * @param {FusionAuthClient} client The client.
+   * @param {Object} req The request.
+   * @param {Object} res The response.
+   * @returns {Promise<?AuthenticationFailure>} A Promise for the failure, or null if the request is authenticated.
+   * @private
+   */
+  _authenticate: async function(settings, client, req, res) {
+    const cookies = req.cookies || AuthenticationMiddleware._parseCookies(req.headers.cookie);
+    const authorization = req.headers.authorization || '';
+    const fromHeader = /^Bearer\s+/i.test(authorization);
+    const token = fromHeader ? authorization.replace(/^Bearer\s+/i, '').trim() : cookies[settings.cookieName];
+    if (!token) {
+      return {statusCode: 401, reason: 'missing'};
+    }
+
+    let claims;
+    try {
+      claims = await AuthenticationMiddleware._verify(settings, client, token);
+    } catch (err) {
+      const refreshToken = cookies[settings.refreshCookieName];
+      if (!(err instanceof InvalidJWTError)) {
+        throw err;
+      }
+      if (!settings.refresh || fromHeader || !refreshToken) {
+        return {statusCode: 401, reason: err.reason};
+      }
+
+      try {
+        claims = await AuthenticationMiddleware._refresh(settings, client, refreshToken, res);
+      } catch (refreshErr) {
+        if (!(refreshErr instanceof InvalidJWTError)) {
+          throw refreshErr;
+        }
+        return {statusCode: 401, reason: refreshErr.reason};
+      }
+    }
+
+    if (!(await JWTManager.isValid(claims))) {
+      return {statusCode: 401, reason: 'revoked'};
+    }
+
+    if (settings.applicationId) {
+      const audience = [].concat(claims.aud || []);
+      if (claims.applicationId !== settings.applicationId && audience.indexOf(settings.applicationId) === -1) {
+        return {statusCode: 401, reason: 'audience'};
+      }
+    }
+
+    if (settings.roles.length > 0) {
+      const roles = claims.roles || [];
+      const granted = settings.roles.filter((role) => roles.indexOf(role) !== -1);
+      if (granted.length === 0 || (settings.requireAllRoles && granted.length !== settings.roles.length)) {
+        return {statusCode: 403, reason: 'forbidden'};
+      }
+    }
+
+    req[settings.property] = claims;
+    return null;
+  },
+
+  /**
+   * Verifies a token locally or using the JWT validate API.
+   *
+   * @returns {Promise<Object>} The claims, rejected with an InvalidJWTError if the token is not valid.
+   * @private
+   */
+  _verify: async function(settings, client, token) {
+    if (settings.verifier) {
+      return settings.verifier.verify(token);
+    }
+
+    const response = await client.validateJWT(token);
+    if (response.statusCode === 401) {
+      throw new InvalidJWTError('signature', 'The JWT is invalid or expired.');
+    }
+    if (!response.wasSuccessful()) {
+      throw FusionAuthError.fromResponse(response);
+    }
+    return response.successResponse.jwt;
+  },
+
+  /**
+   * Exchanges the refresh token for a new access token, writes the new tokens as cookies and verifies the new token.
+   *
+   * @returns {Promise<Object>} The claims of the new access token, rejected with an InvalidJWTError if the refresh fails.
+   * @private
+   */
+  _refresh: async function(settings, client, refreshToken, res) {
+    const response = await client.exchangeRefreshTokenForAccessToken(refreshToken, settings.clientId || settings.applicationId,
+                                                                     settings.clientSecret, null, null);
+    if (response.statusCode === 400 || response.statusCode === 401) {
+      throw new InvalidJWTError('expired', 'The access token expired and could not be refreshed.');
+    }
+    if (!response.wasSuccessful()) {
+      throw FusionAuthError.fromResponse(response);
+    }
+
+    /** @type {AccessToken} */
+    const accessToken = response.successResponse;
+    const claims = await AuthenticationMiddleware._verify(settings, client, accessToken.access_token);
+    const cookies = [AuthenticationMiddleware._cookie(settings.cookieName, accessToken.access_token, accessToken.expires_in, settings.cookieOptions)];
+    if (accessToken.refresh_token) {
+      cookies.push(AuthenticationMiddleware._cookie(settings.refreshCookieName, accessToken.refresh_token, null, settings.cookieOptions));
+    }
+    const existing = res.getHeader('Set-Cookie');
+    res.setHeader('Set-Cookie', [].concat(existing || []).concat(cookies));
+    return claims;
+  },
+
+  /**
+   * @param {string} name The name of the cookie.
+   * @param {string} value The value of the cookie.
+   * @param {?number} maxAge The number of seconds the cookie is kept, a session cookie if null.
+   * @param {CookieOptions} [options] The attributes of the cookie.
+   * @returns {string} The Set-Cookie header value.
+   * @private
+   */
+  _cookie: function(name, value, maxAge, options) {
+    options = Object.assign({path: '/', secure: true, httpOnly: true, sameSite: 'Lax'}, options);
+    let cookie = name + '=' + encodeURIComponent(value) + '; Path=' + options.path;
+    if (typeof maxAge === 'number') {
+      cookie += '; Max-Age=' + maxAge;
+    }
+    if (options.domain) {
+      cookie += '; Domain=' + options.domain;
+    }
+    if (options.secure) {
+      cookie += '; Secure';
+    }
+    if (options.httpOnly) {
+      cookie += '; HttpOnly';
+    }
+    if (options.sameSite) {
+      cookie += '; SameSite=' + options.sameSite;
+    }
+    return cookie;
+  },
+
+  /**
+   * @param {string} [header] The Cookie header.
+   * @returns {Object<string, string>} The cookies by name.
+   * @private
+   */
+  _parseCookies: function(header) {
+    // Without a prototype, cookies named like the functions of Object do not shadow them
+    const cookies = Object.create(null);
+    (header || '').split(';').forEach((pair) => {
+      const index = pair.indexOf('=');
+      if (index > 0) {
+        const name = pair.substring(0, index).trim();
+        if (!(name in cookies)) {
+          try {
+            cookies[name] = decodeURIComponent(pair.substring(index + 1).trim());
+          } catch (err) {
+            cookies[name] = pair.substring(index + 1).trim();
+          }
+        }
+      }
+    });
+    return cookies;
+  },
+
+  /**
+   * Responds to a request that is not authenticated or not authorized.
+   *
+   * @param {Object} res The response.
+   * @param {AuthenticationFailure} failure The failure.
+   * @private
+   */
+  _reject: function(res, failure) {
+    res.statusCode = failure.statusCode;
+    if (failure.statusCode === 401) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+    }
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({reason: failure.reason}));
+  }
+};
+
+module.exports = AuthenticationMiddleware;
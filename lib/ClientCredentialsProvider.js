@@ -0,0 +1,161 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const FusionAuthError = require("./FusionAuthError.js");
+
+/**
+ * @typedef {Object} ClientCredentialsOptions
+ *
+ * @property {string} clientId The Id of the entity.
+ * @property {string} clientSecret The client secret of the entity.
+ * @property {number} [refreshBefore=30] The number of seconds before the expiration of a cached token from which a new
+ *    token is requested.
+ */
+
+/**
+ * Caches the access tokens of the client credentials grant by client_id and scope, a token is reused until
+ * <code>refreshBefore</code> seconds before it expires. Concurrent requests for the same scope share the same call to
+ * {@link FusionAuthClient#clientCredentialsGrant}.
+ *
+ * The token authorizes the calls to other services, for example using an interceptor:
+ *
+ * <pre>
+ *   const provider = new ClientCredentialsProvider(client, {clientId: entityId, clientSecret: secret});
+ *   const headers = {Authorization: await provider.getAuthorization('target-entity:' + targetId + ':read')};
+ *   // Or for the calls of a RESTClient
+ *   new RESTClient().setInterceptors([provider.interceptor('target-entity:' + targetId + ':read')]);
+ * </pre>
+ *
+ * @param {FusionAuthClient} client The client used to request the tokens.
+ * @param {ClientCredentialsOptions} options The options.
+ * @constructor
+ */
+const ClientCredentialsProvider = function(client, options) {
+  if (!options || !options.clientId) {
+    throw new Error('The clientId option is required.');
+  }
+
+  // The failures are turned into errors here, whatever the failure mode of the client
+  this.client = client.withOptions({failureMode: 'resolve'});
+  this.clientId = options.clientId;
+  this.clientSecret = options.clientSecret;
+  this.refreshBefore = typeof options.refreshBefore === 'number' ? options.refreshBefore : 30;
+  /** @type {Object<string, {accessToken: string, expiresAt: number}>} */
+  this.tokens = {};
+  /** @type {Object<string, Promise<string>>} */
+  this.pending = {};
+};
+
+ClientCredentialsProvider.constructor = ClientCredentialsProvider;
+ClientCredentialsProvider.prototype = {
+
+  /**
+   * Returns a cached access token for the scope, or requests a new one.
+   *
+   * @param {string} [scope] The scope, for example <code>target-entity:&lt;target-entity-id&gt;:&lt;roles&gt;</code>.
+   * @returns {Promise<string>} A Promise for the access token, rejected with a FusionAuthError if the grant fails.
+   */
+  getAccessToken: function(scope) {
+    const key = this._key(scope);
+    const token = this.tokens[key];
+    if (token && token.expiresAt - (this.refreshBefore * 1000) > Date.now()) {
+      return Promise.resolve(token.accessToken);
+    }
+
+    if (!this.pending.hasOwnProperty(key)) {
+      this.pending[key] = this._grant(key, scope).finally(() => {
+        delete this.pending[key];
+      });
+    }
+    return this.pending[key];
+  },
+
+  /**
+   * @param {string} [scope] The scope.
+   * @returns {Promise<string>} A Promise for the value of the Authorization header, <code>Bearer</code> and the token.
+   */
+  getAuthorization: function(scope) {
+    return this.getAccessToken(scope).then((accessToken) => 'Bearer ' + accessToken);
+  },
+
+  /**
+   * Returns an interceptor that sets the Authorization header of the requests to a token for the scope. A request
+   * rejected with a 401 is sent again once with a new token, in case the cached token was revoked.
+   *
+   * @param {string} [scope] The scope.
+   * @returns {RESTClient~interceptor} The interceptor.
+   */
+  interceptor: function(scope) {
+    return async (request, next) => {
+      request.headers.Authorization = await this.getAuthorization(scope);
+      const response = await next(request);
+      if (response.statusCode !== 401) {
+        return response;
+      }
+
+      this.clear(scope);
+      request.headers.Authorization = await this.getAuthorization(scope);
+      return next(request);
+    };
+  },
+
+  /**
+   * Discards the cached token of a scope, or all the cached tokens.
+   *
+   * @param {string} [scope] The scope, all the tokens are discarded when omitted.
+   */
+  clear: function(scope) {
+    if (arguments.length === 0) {
+      this.tokens = {};
+    } else {
+      delete this.tokens[this._key(scope)];
+    }
+  },
+
+  /**
+   * @param {string} key The cache key.
+   * @param {?string} scope The scope.
+   * @returns {Promise<string>} The new access token.
+   * @private
+   */
+  _grant: async function(key, scope) {
+    const response = await this.client.clientCredentialsGrant(this.clientId, this.clientSecret, scope);
+    if (!response.wasSuccessful()) {
+      throw FusionAuthError.fromResponse(response);
+    }
+
+    /** @type {AccessToken} */
+    const accessToken = response.successResponse;
+    this.tokens[key] = {
+      accessToken: accessToken.access_token,
+      expiresAt: Date.now() + ((accessToken.expires_in || 0) * 1000)
+    };
+    return accessToken.access_token;
+  },
+
+  /**
+   * @param {?string} scope The scope.
+   * @returns {string} The cache key of the scope.
+   * @private
+   */
+  _key: function(scope) {
+    return this.clientId + ' ' + (scope || '');
+  }
+};
+
+module.exports = ClientCredentialsProvider;
@@ -31,11 +31,51 @@ const ClientResponse = function() {
   this.successResponse = null;
   /** @type{?Error} */
   this.exception = null;
+  /**
+   * The response headers, the names are in lower case.
+   * @type{Object<string, string|string[]>}
+   */
+  this.headers = {};
+  /**
+   * The body of the response as it was received, null if no response was received.
+   * @type{?Buffer}
+   */
+  this.rawBody = null;
+  /**
+   * The error raised while parsing the body, the body is then available as text.
+   * @type{?Error}
+   */
+  this.parseError = null;
+  /**
+   * True if the body was written to a response stream rather than being buffered.
+   * @type{boolean}
+   */
+  this.streamed = false;
+  /** @type{?string} */
+  this.method = null;
+  /** @type{?string} */
+  this.url = null;
+  /**
+   * The number of milliseconds the request took.
+   * @type{?number}
+   */
+  this.duration = null;
 };
 
 ClientResponse.constructor = ClientResponse;
 ClientResponse.prototype = {
 
+  /**
+   * Returns the value of a response header.
+   *
+   * @param {string} name The name of the header, in any case.
+   * @returns {string|string[]|undefined} The value of the header, an array for headers that may be repeated such as
+   *    Set-Cookie, or undefined if the header was not returned.
+   */
+  getHeader: function(name) {
+    return this.headers[name.toLowerCase()];
+  },
+
   /**
    * @returns {boolean} return true if the request was successful.
    */
@@ -0,0 +1,222 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const fs = require("fs");
+
+/**
+ * @typedef {Object} FileRevocationStoreOptions
+ *
+ * @property {number} [readInterval=1000] The minimum number of milliseconds between two reads of the file by a lookup,
+ *    which bounds how long a revocation recorded by another process may go unnoticed. Revocations recorded by this
+ *    process are always seen immediately.
+ * @property {number} [staleLockMillis=60000] The age from which the lock of a compaction is considered to have been
+ *    left behind by a process that died, it is then removed.
+ */
+
+/**
+ * A revocation store backed by a file, which shares the revocations between the processes of a host. Every revocation
+ * is appended to the file as a line of JSON, appends of a single line are atomic so processes may record revocations
+ * concurrently. A lookup reads the lines appended since the last read, at most once every <code>readInterval</code>.
+ *
+ * The file is compacted by {@link FileRevocationStore#cleanup}, which every process may schedule. A lock file ensures
+ * that a single process compacts the file at a time, the lines appended to the file while it is being replaced are
+ * copied to the new file and an append that still landed in the replaced file is made again.
+ *
+ * @param {string} path The path of the file, it is created if it does not exist.
+ * @param {FileRevocationStoreOptions} [options] The options.
+ * @constructor
+ */
+const FileRevocationStore = function(path, options) {
+  options = options || {};
+  this.path = path;
+  this.readInterval = typeof options.readInterval === 'number' ? options.readInterval : 1000;
+  this.staleLockMillis = typeof options.staleLockMillis === 'number' ? options.staleLockMillis : 60000;
+  /** @type {Object<string, number>} */
+  this.revocations = {};
+  this.offset = 0;
+  this.inode = null;
+  this.lastRead = 0;
+};
+
+FileRevocationStore.constructor = FileRevocationStore;
+FileRevocationStore.prototype = {
+
+  /**
+   * @param {string} key The key of the revocation.
+   * @returns {number|undefined} The instant until which the revocation applies.
+   */
+  get: function(key) {
+    if (Date.now() - this.lastRead >= this.readInterval) {
+      this._read();
+    }
+    const expiration = this.revocations[key];
+    return typeof expiration === 'number' && expiration >= Date.now() ? expiration : undefined;
+  },
+
+  /**
+   * @param {string} key The key of the revocation.
+   * @param {number} expiration The instant until which the revocation applies.
+   * @param {number} ttlSeconds The number of seconds until the expiration.
+   */
+  set: function(key, expiration, ttlSeconds) {
+    const line = JSON.stringify({key: key, expiration: expiration}) + '\n';
+    // When a compaction replaced the file during the append, the line is appended to the new file as well
+    let inode;
+    do {
+      const fd = fs.openSync(this.path, 'a');
+      try {
+        fs.writeSync(fd, line);
+        inode = fs.fstatSync(fd).ino;
+      } finally {
+        fs.closeSync(fd);
+      }
+    } while (fs.statSync(this.path).ino !== inode);
+    this._read();
+  },
+
+  /**
+   * Rewrites the file without the expired revocations. Nothing is done when another process is compacting the file.
+   */
+  cleanup: function() {
+    const lock = this.path + '.lock';
+    let lockFd;
+    try {
+      lockFd = fs.openSync(lock, 'wx');
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+      this._removeStaleLock(lock);
+      return;
+    }
+
+    let fd = null;
+    try {
+      try {
+        fd = fs.openSync(this.path, 'r');
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          return;
+        }
+        throw err;
+      }
+
+      const revocations = {};
+      const offset = FileRevocationStore._readLines(fd, 0, revocations);
+      const now = Date.now();
+      const lines = Object.keys(revocations).filter((key) => revocations[key] >= now).map((key) => {
+        return JSON.stringify({key: key, expiration: revocations[key]}) + '\n';
+      });
+      const temporary = this.path + '.' + process.pid + '.tmp';
+      fs.writeFileSync(temporary, lines.join(''));
+      fs.renameSync(temporary, this.path);
+
+      // Copies the lines appended to the previous file until it was replaced
+      const appended = {};
+      FileRevocationStore._readLines(fd, offset, appended);
+      const tail = Object.keys(appended).map((key) => JSON.stringify({key: key, expiration: appended[key]}) + '\n');
+      if (tail.length > 0) {
+        fs.appendFileSync(this.path, tail.join(''));
+      }
+    } finally {
+      if (fd !== null) {
+        fs.closeSync(fd);
+      }
+      fs.closeSync(lockFd);
+      fs.unlinkSync(lock);
+    }
+    this._read();
+  },
+
+  /**
+   * @param {string} lock The path of the lock file.
+   * @private
+   */
+  _removeStaleLock: function(lock) {
+    try {
+      if (Date.now() - fs.statSync(lock).mtimeMs > this.staleLockMillis) {
+        fs.unlinkSync(lock);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  },
+
+  /**
+   * Reads the lines appended to the file since the last read, starting over when the file was replaced by a compaction.
+   *
+   * @private
+   */
+  _read: function() {
+    this.lastRead = Date.now();
+    let stat;
+    try {
+      stat = fs.statSync(this.path);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return;
+      }
+      throw err;
+    }
+
+    if (stat.ino === this.inode && stat.size === this.offset) {
+      return;
+    }
+
+    const fd = fs.openSync(this.path, 'r');
+    try {
+      // The file may have been replaced since the stat, the descriptor tells which one is read
+      stat = fs.fstatSync(fd);
+      if (stat.ino !== this.inode || stat.size < this.offset) {
+        this.inode = stat.ino;
+        this.offset = 0;
+        this.revocations = {};
+      }
+      this.offset = FileRevocationStore._readLines(fd, this.offset, this.revocations);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+};
+
+/**
+ * Reads the complete lines of a file from an offset, a line being appended is read the next time.
+ *
+ * @param {number} fd The file descriptor.
+ * @param {number} offset The offset to read from.
+ * @param {Object<string, number>} revocations The revocations the lines are added to.
+ * @returns {number} The offset following the last complete line.
+ * @private
+ */
+FileRevocationStore._readLines = function(fd, offset, revocations) {
+  const buffer = Buffer.alloc(Math.max(0, fs.fstatSync(fd).size - offset));
+  const read = fs.readSync(fd, buffer, 0, buffer.length, offset);
+  const data = buffer.slice(0, read);
+  const end = data.lastIndexOf(0x0a) + 1;
+  data.slice(0, end).toString('utf8').split('\n').forEach((line) => {
+    if (line.length > 0) {
+      const revocation = JSON.parse(line);
+      revocations[revocation.key] = revocation.expiration;
+    }
+  });
+  return offset + end;
+};
+
+module.exports = FileRevocationStore;
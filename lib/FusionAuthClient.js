@@ -16,25 +16,181 @@
 
 'use strict';
 
+const AbortError = require('./AbortError.js');
+const FusionAuthError = require('./FusionAuthError.js');
+const Paginator = require('./Paginator.js');
+const ProxyAgent = require('./ProxyAgent.js');
 const RESTClient = require('./RESTClient.js');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
 var Promise = require('promise');
 var querystring = require('querystring');
 
-const FusionAuthClient = function(apiKey, host) {
+/**
+ * The client for the FusionAuth APIs.
+ *
+ * @param {string} apiKey The API key used to authenticate API calls.
+ * @param {string} host The URL of FusionAuth, for example https://local.fusionauth.io.
+ * @param {FusionAuthClientOptions} [options] The optional client options.
+ * @constructor
+ */
+const FusionAuthClient = function(apiKey, host, options) {
   this.apiKey = apiKey;
   this.host = host;
+  /** @type {?string} */
   this.tenantId = null;
+  /** @type {FusionAuthClientOptions} */
+  this.options = Object.assign({}, options);
+  this.ownedAgent = null;
+  if (!this.options.agent && this.options.keepAlive) {
+    this.ownedAgent = this._createAgent(this.options.keepAlive === true ? {} : this.options.keepAlive);
+    this.options.agent = this.ownedAgent;
+  }
 };
 
 FusionAuthClient.constructor = FusionAuthClient;
 //noinspection JSUnusedGlobalSymbols
 FusionAuthClient.prototype = {
 
+  /**
+   * Sets the tenant id, that will be included in the X-FusionAuth-TenantId header.
+   *
+   * @param {?string} tenantId The value of the X-FusionAuth-TenantId header.
+   * @returns {FusionAuthClient}
+   */
   setTenantId: function(tenantId) {
     this.tenantId = tenantId;
     return this;
   },
 
+  /**
+   * Adds an interceptor to the pipeline every call of this client passes through. Interceptors run in the order they are
+   * added and see the method, URL, headers and body of the request before it is sent and the ClientResponse after it
+   * comes back, for example:
+   *
+   * <pre>
+   *   client.use(async (request, next) => {
+   *     request.headers['X-Correlation-Id'] = correlationId();
+   *     const response = await next(request);
+   *     metrics.record(request.method, response.statusCode);
+   *     return response;
+   *   });
+   * </pre>
+   *
+   * @param {RESTClient~interceptor} interceptor The interceptor.
+   * @returns {FusionAuthClient}
+   */
+  use: function(interceptor) {
+    this.options.interceptors = (this.options.interceptors || []).concat([interceptor]);
+    return this;
+  },
+
+  /**
+   * Sets the agent that manages the connections to FusionAuth. Use this to share an agent between clients, or pass the
+   * <code>keepAlive</code> option to the constructor to let the client build a dedicated keep-alive agent.
+   *
+   * @param {?(http.Agent|https.Agent)} agent The agent, or null to use the default agent of Node.
+   * @returns {FusionAuthClient}
+   */
+  setAgent: function(agent) {
+    this.options.agent = agent || null;
+    return this;
+  },
+
+  /**
+   * Closes the keep-alive agent built by this client, if any, which closes its pooled connections. Agents passed in using
+   * the options or {@link FusionAuthClient#setAgent} are owned by the caller and left open.
+   */
+  close: function() {
+    if (this.ownedAgent !== null) {
+      this.ownedAgent.destroy();
+      if (this.options.agent === this.ownedAgent) {
+        this.options.agent = null;
+      }
+      this.ownedAgent = null;
+    }
+  },
+
+  /**
+   * Sets how failed calls are reported.
+   *
+   * <ul>
+   *   <li>reject - The Promise is rejected with the ClientResponse (the default).</li>
+   *   <li>error - The Promise is rejected with a FusionAuthError, or one of its subclasses such as NotFoundError, that
+   *   carries the ClientResponse.</li>
+   *   <li>resolve - The Promise is always resolved with the ClientResponse, use <code>wasSuccessful()</code> to tell
+   *   whether the call succeeded.</li>
+   * </ul>
+   *
+   * Use {@link FusionAuthClient#withOptions} to change the failure mode of a single call, for example:
+   *
+   * <pre>
+   *   const response = await client.withOptions({failureMode: 'resolve'}).retrieveUserByEmail(email);
+   *   if (response.statusCode === 404) { ... }
+   * </pre>
+   *
+   * @param {FailureMode} failureMode The failure mode.
+   * @returns {FusionAuthClient}
+   */
+  setFailureMode: function(failureMode) {
+    this.options.failureMode = failureMode;
+    return this;
+  },
+
+  /**
+   * Sets the connect, read and total timeouts (in milliseconds) used by every call made with this client.
+   *
+   * @param {?RequestTimeouts} timeouts The timeouts, or null to remove them.
+   * @returns {FusionAuthClient}
+   */
+  setTimeouts: function(timeouts) {
+    this.options.timeouts = timeouts || null;
+    return this;
+  },
+
+  /**
+   * Sets the proxy used to reach FusionAuth. By default the HTTPS_PROXY, HTTP_PROXY and NO_PROXY environment variables
+   * are honoured.
+   *
+   * @param {?(string|boolean)} proxy The URL of the proxy (with optional basic auth credentials), false to ignore the
+   *    environment variables or null to use them.
+   * @returns {FusionAuthClient}
+   */
+  setProxy: function(proxy) {
+    this.options.proxy = proxy === false ? false : (proxy || null);
+    return this;
+  },
+
+  /**
+   * Sets the policy used to retry calls that failed because of a network error or a transient status code such as 503.
+   * By default only idempotent calls are retried, see {@link RetryPolicy}.
+   *
+   * @param {?RetryPolicy} retryPolicy The policy, or null to never retry.
+   * @returns {FusionAuthClient}
+   */
+  setRetryPolicy: function(retryPolicy) {
+    this.options.retryPolicy = retryPolicy || null;
+    return this;
+  },
+
+  /**
+   * Returns a client that shares the configuration of this client but overrides some of its options. This is used to
+   * change the options of a single call without changing this client, for example:
+   *
+   * <pre>
+   *   client.withOptions({signal: controller.signal, timeouts: {total: 2000}}).retrieveUser(userId);
+   * </pre>
+   *
+   * @param {FusionAuthClientOptions} options The options to override.
+   * @returns {FusionAuthClient} The new client.
+   */
+  withOptions: function(options) {
+    const client = Object.create(this);
+    client.options = Object.assign({}, this.options, options);
+    return client;
+  },
+
   /**
    * Takes an action on a user. The user being actioned is called the "actionee" and the user taking the action is called the
    * "actioner". Both user ids are required in the request object.
@@ -112,6 +268,51 @@ FusionAuthClient.prototype = {
     });
   },
 
+  /**
+   * Builds the URL of the OAuth authorize endpoint that starts the authorization code grant. Use
+   * {@link PKCE.generate} for the code challenge and {@link PKCE.randomValue} for the state and the nonce. The tenant
+   * Id of this client is used when the request does not have one.
+   *
+   * @param {AuthorizeURLRequest} request The parameters of the authorize request.
+   * @return {string} The URL to redirect the browser to.
+   */
+  buildAuthorizeURL: function(request) {
+    this._requireNonNull(request.client_id, 'client_id');
+    this._requireNonNull(request.redirect_uri, 'redirect_uri');
+    return this._buildURL('/oauth2/authorize', {
+      client_id: request.client_id,
+      redirect_uri: request.redirect_uri,
+      response_type: request.response_type || 'code',
+      scope: request.scope,
+      state: request.state,
+      nonce: request.nonce,
+      response_mode: request.response_mode,
+      code_challenge: request.code_challenge,
+      code_challenge_method: request.code_challenge ? (request.code_challenge_method || 'S256') : null,
+      idp_hint: request.idp_hint,
+      login_hint: request.login_hint,
+      tenantId: request.tenantId || this.tenantId
+    });
+  },
+
+  /**
+   * Builds the URL of the OAuth logout endpoint that ends the FusionAuth SSO session. The tenant Id of this client is
+   * used when the request does not have one.
+   *
+   * @param {LogoutURLRequest} [request] The parameters of the logout request.
+   * @return {string} The URL to redirect the browser to.
+   */
+  buildLogoutURL: function(request) {
+    request = request || {};
+    return this._buildURL('/oauth2/logout', {
+      client_id: request.client_id,
+      post_logout_redirect_uri: request.post_logout_redirect_uri,
+      id_token_hint: request.id_token_hint,
+      state: request.state,
+      tenantId: request.tenantId || this.tenantId
+    });
+  },
+
   /**
    * Cancels the user action.
    *
@@ -1643,6 +1844,32 @@ FusionAuthClient.prototype = {
     });
   },
 
+  /**
+   * Exchanges the device code of a Device Authorization Grant for an access token once the user has approved the device.
+   * See {@link FusionAuthClient#pollDeviceAuthorization} to poll until the user completes the grant.
+   *
+   * @param {string} device_code The device code returned by the /oauth2/device_authorize response.
+   * @param {?string} client_id (Optional) The unique client identifier. The client Id is the Id of the FusionAuth Application in which you are attempting to authenticate.
+   *    This parameter is optional when Basic Authorization is used to authenticate this request.
+   * @param {?string} client_secret (Optional) The client secret. This value will be required if client authentication is enabled.
+   * @return {Promise<ClientResponse<AccessToken>>} A Promise for the FusionAuth call.
+   */
+  exchangeDeviceCodeForAccessToken: function(device_code, client_id, client_secret) {
+    var body = {
+      device_code: device_code,
+      client_id: client_id,
+      client_secret: client_secret,
+      grant_type: "urn:ietf:params:oauth:grant-type:device_code"
+    };
+    return new Promise((resolve, reject) => {
+      this._startAnonymous()
+          .uri('/oauth2/token')
+          .setFormBody(body)
+          .post()
+          .go(this._responseHandler(resolve, reject));
+    });
+  },
+
   /**
    * Exchanges an OAuth authorization code for an access token.
    * Makes a request to the Token endpoint to exchange the authorization code returned from the Authorize endpoint for an access token.
@@ -1779,6 +2006,44 @@ FusionAuthClient.prototype = {
     });
   },
 
+  /**
+   * Exports the audit logs matching the specified criteria as a zip archive. The archive is streamed to the destination
+   * without being buffered in memory.
+   *
+   * @param {AuditLogExportRequest} request The export criteria and the date format and time zone used in the export.
+   * @param {string|stream.Writable} destination The path of the file the archive is written to, or a writable stream.
+   * @return {Promise<ClientResponse<void>>} A Promise for the FusionAuth call.
+   */
+  exportAuditLogs: function(request, destination) {
+    return new Promise((resolve, reject) => {
+      this._start()
+          .uri('/api/system/audit-log/export')
+          .setJSONBody(request)
+          .setResponseStream(this._destinationStream(destination))
+          .post()
+          .go(this._responseHandler(resolve, reject));
+    });
+  },
+
+  /**
+   * Exports the login records matching the specified criteria as a zip archive. The archive is streamed to the
+   * destination without being buffered in memory.
+   *
+   * @param {LoginRecordExportRequest} request The export criteria and the date format and time zone used in the export.
+   * @param {string|stream.Writable} destination The path of the file the archive is written to, or a writable stream.
+   * @return {Promise<ClientResponse<void>>} A Promise for the FusionAuth call.
+   */
+  exportLoginRecords: function(request, destination) {
+    return new Promise((resolve, reject) => {
+      this._start()
+          .uri('/api/system/login-record/export')
+          .setJSONBody(request)
+          .setResponseStream(this._destinationStream(destination))
+          .post()
+          .go(this._responseHandler(resolve, reject));
+    });
+  },
+
   /**
    * Begins the forgot password sequence, which kicks off an email to the user so that they can reset their password.
    *
@@ -2065,6 +2330,28 @@ FusionAuthClient.prototype = {
     });
   },
 
+  /**
+   * Iterates over all the users matching the search criteria, fetching the pages using {@link FusionAuthClient#searchUsersByQuery}
+   * as they are consumed. The <code>nextResults</code> token returned by FusionAuth is followed when it is available,
+   * which is not limited by the 10,000 result window of Elasticsearch, otherwise the <code>startRow</code> is advanced.
+   *
+   * <pre>
+   *   for await (const user of client.iterateUsers({queryString: 'email:*@example.com'}, {pageSize: 500})) {
+   *     ...
+   *   }
+   * </pre>
+   *
+   * A failed call is thrown from the iterator as a ClientResponse, or as a FusionAuthError when the failure mode of the
+   * client is <code>error</code>.
+   *
+   * @param {UserSearchCriteria} searchCriteria The search criteria, the startRow and sortFields are used for the first page.
+   * @param {IterateOptions} [options] The page size and the maximum number of users to return.
+   * @return {Paginator} The async iterable over the users.
+   */
+  iterateUsers: function(searchCriteria, options) {
+    return this.paginate('searchUsersByQuery', {search: searchCriteria}, options);
+  },
+
   /**
    * Authenticates a user to FusionAuth. 
    * 
@@ -2201,6 +2488,32 @@ FusionAuthClient.prototype = {
     });
   },
 
+  /**
+   * Iterates over all the results of a search method, fetching the pages as they are consumed, for example:
+   *
+   * <pre>
+   *   const auditLogs = client.paginate('searchAuditLogs', {search: {user: 'admin@example.com'}}, {pageSize: 200});
+   *   for await (const auditLog of auditLogs) {
+   *     ...
+   *   }
+   *   console.info(auditLogs.total);
+   * </pre>
+   *
+   * A failed call is thrown from the iterator as a ClientResponse, or as a FusionAuthError when the failure mode of the
+   * client is <code>error</code>.
+   *
+   * @param {string|Function} method The search method or its name, for example searchAuditLogs.
+   * @param {Object} request The search request, its search criteria define the first page.
+   * @param {IterateOptions} [options] The page size and the maximum number of results to return.
+   * @return {Paginator} The async iterable over the results, which also exposes the total.
+   */
+  paginate: function(method, request, options) {
+    if (typeof method === 'function') {
+      method = Paginator.methods().find((name) => this[name] === method) || method.name;
+    }
+    return new Paginator(this, method, request, options);
+  },
+
   /**
    * Complete a login request using a passwordless code
    *
@@ -2615,6 +2928,42 @@ FusionAuthClient.prototype = {
     });
   },
 
+  /**
+   * Polls the Token endpoint until the user completes the Device Authorization Grant started by
+   * {@link FusionAuthClient#startDeviceAuthorization}. The code is exchanged every <code>interval</code> seconds while
+   * the authorization is pending and the interval grows by the <code>slowDownInterval</code> option (5 seconds by default)
+   * each time FusionAuth asks to slow down. Pass a <code>signal</code> using {@link FusionAuthClient#withOptions} to stop
+   * polling, for example when the user cancels.
+   *
+   * @param {DeviceResponse} deviceResponse The response of the device authorize request.
+   * @param {?string} client_id (Optional) The unique client identifier.
+   * @param {?string} client_secret (Optional) The client secret. This value will be required if client authentication is enabled.
+   * @return {Promise<AccessToken>} A Promise for the access token, rejected with a FusionAuthError when the user denies
+   *    the request or the device code expires (the <code>error</code> of the errorResponse is access_denied or
+   *    expired_token), or with an AbortError if the signal is aborted.
+   */
+  pollDeviceAuthorization: async function(deviceResponse, client_id, client_secret) {
+    this._requireNonNull(deviceResponse.device_code, 'device_code');
+    const client = this.withOptions({failureMode: 'resolve'});
+    let interval = (typeof deviceResponse.interval === 'number' ? deviceResponse.interval : 5) * 1000;
+    while (true) {
+      await this._sleep(interval);
+      const response = await client.exchangeDeviceCodeForAccessToken(deviceResponse.device_code, client_id, client_secret);
+      if (response.wasSuccessful()) {
+        return response.successResponse;
+      }
+
+      const error = response.errorResponse && response.errorResponse.error;
+      if (response.exception instanceof AbortError) {
+        throw response.exception;
+      } else if (error === 'slow_down') {
+        interval += typeof this.options.slowDownInterval === 'number' ? this.options.slowDownInterval : 5000;
+      } else if (error !== 'authorization_pending') {
+        throw FusionAuthError.fromResponse(response);
+      }
+    }
+  },
+
   /**
    * Reactivates the application with the given Id.
    *
@@ -5203,6 +5552,30 @@ FusionAuthClient.prototype = {
     });
   },
 
+  /**
+   * Starts a Device Authorization Grant. Display the user_code and the verification_uri of the response to the user and
+   * call {@link FusionAuthClient#pollDeviceAuthorization} to wait for the access token.
+   *
+   * @param {?string} client_id The unique client identifier. The client Id is the Id of the FusionAuth Application in which you are attempting to authenticate.
+   * @param {?string} client_secret (Optional) The client secret. This value will be required if client authentication is enabled.
+   * @param {?string} scope (Optional) This parameter is used to request the scopes of the access token, for example <code>offline_access</code>.
+   * @return {Promise<ClientResponse<DeviceResponse>>} A Promise for the FusionAuth call.
+   */
+  startDeviceAuthorization: function(client_id, client_secret, scope) {
+    var body = {
+      client_id: client_id,
+      client_secret: client_secret,
+      scope: scope
+    };
+    return new Promise((resolve, reject) => {
+      this._startAnonymous()
+          .uri('/oauth2/device_authorize')
+          .setFormBody(body)
+          .post()
+          .go(this._responseHandler(resolve, reject));
+    });
+  },
+
   /**
    * Begins a login request for a 3rd party login that requires user interaction such as HYPR.
    *
@@ -6030,6 +6403,70 @@ FusionAuthClient.prototype = {
    * Private methods
    * ===================================================================================================================*/
 
+  /**
+   * Builds a URL of FusionAuth, leaving out the parameters that are not set.
+   *
+   * @param {string} path The path.
+   * @param {Object} parameters The query parameters.
+   * @returns {string} The URL.
+   * @private
+   */
+  _buildURL: function(path, parameters) {
+    const query = {};
+    Object.keys(parameters)
+        .filter((name) => typeof parameters[name] !== 'undefined' && parameters[name] !== null)
+        .forEach((name) => query[name] = parameters[name]);
+    const encoded = querystring.stringify(query);
+    return this.host.replace(/\/+$/, '') + path + (encoded.length > 0 ? '?' + encoded : '');
+  },
+
+  /**
+   * Returns the stream a downloaded body is written to. A file is only created once FusionAuth starts sending the body,
+   * so a failed call does not leave an empty file behind.
+   *
+   * @param {string|stream.Writable} destination The path of the file, or a writable stream.
+   * @returns {stream.Writable|function(): stream.Writable} The stream, or a function that creates it.
+   * @private
+   */
+  _destinationStream: function(destination) {
+    this._requireNonNull(destination, 'destination');
+    if (typeof destination === 'string') {
+      return () => fs.createWriteStream(destination);
+    }
+    return destination;
+  },
+
+  /**
+   * Waits for a number of milliseconds, or until the signal of the client is aborted.
+   *
+   * @param {number} millis The number of milliseconds.
+   * @returns {Promise<void>} A Promise rejected with an AbortError if the signal is aborted.
+   * @private
+   */
+  _sleep: function(millis) {
+    const signal = this.options.signal;
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new AbortError(signal.reason));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new AbortError(signal.reason));
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, millis);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, {once: true});
+      }
+    });
+  },
+
   /**
    * Require a parameter to be defined, if null or un-defined this throws an exception.
    * @param {Object} value The value that must be defined.
@@ -6051,9 +6488,12 @@ FusionAuthClient.prototype = {
    * @private
    */
   _responseHandler: function(resolve, reject) {
+    const failureMode = this.options.failureMode;
     return function(response) {
-      if (response.wasSuccessful()) {
+      if (response.wasSuccessful() || failureMode === 'resolve') {
         resolve(response);
+      } else if (failureMode === 'error') {
+        reject(FusionAuthError.fromResponse(response));
       } else {
         reject(response);
       }
@@ -6070,8 +6510,36 @@ FusionAuthClient.prototype = {
     return this._startAnonymous().authorization(this.apiKey);
   },
 
+  /**
+   * Builds the keep-alive agent for the protocol of the host, tunnelling through the proxy for https hosts.
+   *
+   * @param {KeepAliveOptions} keepAlive The keep-alive options.
+   * @returns {http.Agent|https.Agent} The agent.
+   * @private
+   */
+  _createAgent: function(keepAlive) {
+    const agentOptions = {
+      keepAlive: true,
+      maxSockets: keepAlive.maxSockets || Infinity,
+      maxFreeSockets: keepAlive.maxFreeSockets || 256,
+      timeout: keepAlive.freeSocketTimeout || 4000
+    };
+    if (String(this.host).indexOf('https:') !== 0) {
+      return new http.Agent(agentOptions);
+    }
+
+    const proxy = ProxyAgent.resolve(this.host, this.options.proxy);
+    return proxy !== null ? new ProxyAgent(proxy, agentOptions) : new https.Agent(agentOptions);
+  },
+
   _startAnonymous: function() {
-    const client = new RESTClient().setUrl(this.host);
+    const client = new RESTClient().setUrl(this.host)
+        .setAgent(this.options.agent)
+        .setInterceptors(this.options.interceptors)
+        .setProxy(ProxyAgent.resolve(this.host, this.options.proxy))
+        .setRetryPolicy(this.options.retryPolicy)
+        .setTimeouts(this.options.timeouts)
+        .setSignal(this.options.signal);
 
     if (this.tenantId !== null && typeof(this.tenantId) !== 'undefined') {
       client.header('X-FusionAuth-TenantId', this.tenantId);
@@ -6081,6 +6549,92 @@ FusionAuthClient.prototype = {
   }
 };
 
+/**
+ * The timeouts of a request in milliseconds, a timeout that is not set is not enforced.
+ *
+ * @typedef {Object} RequestTimeouts
+ *
+ * @property {number} [connect] The maximum time to establish the connection, including the tunnel through a proxy.
+ * @property {number} [read] The maximum time the connection may be idle while waiting on FusionAuth.
+ * @property {number} [total] The maximum time for the entire request, including its retries.
+ */
+
+/**
+ * The options of the keep-alive agent built by a FusionAuthClient.
+ *
+ * @typedef {Object} KeepAliveOptions
+ *
+ * @property {number} [maxSockets=Infinity] The maximum number of concurrent connections to FusionAuth.
+ * @property {number} [maxFreeSockets=256] The maximum number of idle connections kept open.
+ * @property {number} [freeSocketTimeout=4000] The number of milliseconds after which an idle connection is closed.
+ */
+
+/**
+ * The parameters of an authorize request, see {@link FusionAuthClient#buildAuthorizeURL}.
+ *
+ * @typedef {Object} AuthorizeURLRequest
+ *
+ * @property {string} client_id The Id of the FusionAuth application.
+ * @property {string} redirect_uri The URI FusionAuth redirects to with the authorization code.
+ * @property {string} [response_type=code]
+ * @property {string} [scope] For example <code>openid offline_access</code>.
+ * @property {string} [state] A random value returned on the redirect, to be compared with the value kept in the session.
+ * @property {string} [nonce] A random value FusionAuth adds to the id token.
+ * @property {string} [response_mode] One of query, fragment or form_post.
+ * @property {string} [code_challenge] The PKCE code challenge.
+ * @property {string} [code_challenge_method=S256] The PKCE code challenge method, when there is a code challenge.
+ * @property {string} [idp_hint] The Id of the identity provider to send the user to.
+ * @property {string} [login_hint] The login Id to pre-fill.
+ * @property {UUIDString} [tenantId] The Id of the tenant of the application.
+ */
+
+/**
+ * The parameters of a logout request, see {@link FusionAuthClient#buildLogoutURL}.
+ *
+ * @typedef {Object} LogoutURLRequest
+ *
+ * @property {string} [client_id] The Id of the FusionAuth application, used to find the logout URL.
+ * @property {string} [post_logout_redirect_uri] The URI FusionAuth redirects to after the logout.
+ * @property {string} [id_token_hint] The id token of the user.
+ * @property {string} [state] A value returned on the redirect.
+ * @property {UUIDString} [tenantId] The Id of the tenant of the application.
+ */
+
+/**
+ * The options of an iteration over search results.
+ *
+ * @typedef {Object} IterateOptions
+ *
+ * @property {number} [pageSize=100] The number of results requested per page.
+ * @property {number} [maxItems] The maximum number of results returned by the iteration.
+ */
+
+/**
+ * How a FusionAuthClient reports failed calls, see {@link FusionAuthClient#setFailureMode}.
+ *
+ * @typedef {('reject'|'error'|'resolve')} FailureMode
+ */
+
+/**
+ * The options of a FusionAuthClient, see {@link FusionAuthClient#withOptions} to set them for a single call.
+ *
+ * @typedef {Object} FusionAuthClientOptions
+ *
+ * @property {http.Agent|https.Agent} [agent] The agent that manages the connections to FusionAuth.
+ * @property {FailureMode} [failureMode='reject'] How failed calls are reported.
+ * @property {RESTClient~interceptor[]} [interceptors] The interceptors every call passes through, see
+ *    {@link FusionAuthClient#use}.
+ * @property {boolean|KeepAliveOptions} [keepAlive] Builds a dedicated keep-alive agent when no agent is given, see
+ *    {@link FusionAuthClient#close}.
+ * @property {string|boolean} [proxy] The URL of the proxy used to reach FusionAuth, or false to ignore the HTTPS_PROXY
+ *    and HTTP_PROXY environment variables.
+ * @property {RetryPolicy} [retryPolicy] The policy used to retry failed calls.
+ * @property {number} [slowDownInterval=5000] The number of milliseconds added to the polling interval of
+ *    {@link FusionAuthClient#pollDeviceAuthorization} each time FusionAuth asks to slow down.
+ * @property {RequestTimeouts} [timeouts] The request timeouts.
+ * @property {AbortSignal} [signal] A signal used to cancel in-flight requests.
+ */
+
 /**
  * A 128 bit UUID in string format "8-4-4-4-12", for example "58D5E212-165B-4CA0-909B-C86B9CEE0111".
  *
@@ -14277,4 +14831,107 @@ var IdentityProviderLoginMethod = {
 
 
 
+/**
+ * The enums of the FusionAuth API by name, exported by the package. Every enum is frozen and has a non-enumerable
+ * <code>has(value)</code> function that tells whether a value, for example the type of a webhook event, is one of its
+ * values:
+ *
+ * <pre>
+ *   if (EventType.has(request.event.type)) { ... }
+ * </pre>
+ */
+FusionAuthClient.enums = {
+  Algorithm: Algorithm,
+  ApplicationMultiFactorTrustPolicy: ApplicationMultiFactorTrustPolicy,
+  AttestationConveyancePreference: AttestationConveyancePreference,
+  AttestationType: AttestationType,
+  AuthenticationThreats: AuthenticationThreats,
+  AuthenticatorAttachment: AuthenticatorAttachment,
+  AuthenticatorAttachmentPreference: AuthenticatorAttachmentPreference,
+  BreachAction: BreachAction,
+  BreachMatchMode: BreachMatchMode,
+  BreachedPasswordStatus: BreachedPasswordStatus,
+  CanonicalizationMethod: CanonicalizationMethod,
+  CaptchaMethod: CaptchaMethod,
+  ChangePasswordReason: ChangePasswordReason,
+  ClientAuthenticationMethod: ClientAuthenticationMethod,
+  ClientAuthenticationPolicy: ClientAuthenticationPolicy,
+  ConnectorType: ConnectorType,
+  ConsentStatus: ConsentStatus,
+  ContentStatus: ContentStatus,
+  CoseAlgorithmIdentifier: CoseAlgorithmIdentifier,
+  CoseEllipticCurve: CoseEllipticCurve,
+  CoseKeyType: CoseKeyType,
+  DeviceType: DeviceType,
+  EmailSecurityType: EmailSecurityType,
+  EventLogType: EventLogType,
+  EventType: EventType,
+  ExpiryUnit: ExpiryUnit,
+  FamilyRole: FamilyRole,
+  FormControl: FormControl,
+  FormDataType: FormDataType,
+  FormFieldAdminPolicy: FormFieldAdminPolicy,
+  FormType: FormType,
+  GrantType: GrantType,
+  HTTPMethod: HTTPMethod,
+  IPAccessControlEntryAction: IPAccessControlEntryAction,
+  IdentityProviderLinkingStrategy: IdentityProviderLinkingStrategy,
+  IdentityProviderLoginMethod: IdentityProviderLoginMethod,
+  IdentityProviderType: IdentityProviderType,
+  KeyAlgorithm: KeyAlgorithm,
+  KeyType: KeyType,
+  KeyUse: KeyUse,
+  LDAPSecurityMethod: LDAPSecurityMethod,
+  LambdaEngineType: LambdaEngineType,
+  LambdaType: LambdaType,
+  LoginIdType: LoginIdType,
+  LogoutBehavior: LogoutBehavior,
+  MessageType: MessageType,
+  MessengerType: MessengerType,
+  MultiFactorLoginPolicy: MultiFactorLoginPolicy,
+  OAuthApplicationRelationship: OAuthApplicationRelationship,
+  OAuthErrorReason: OAuthErrorReason,
+  OAuthErrorType: OAuthErrorType,
+  OAuthScopeConsentMode: OAuthScopeConsentMode,
+  OAuthScopeHandlingPolicy: OAuthScopeHandlingPolicy,
+  Oauth2AuthorizedURLValidationPolicy: Oauth2AuthorizedURLValidationPolicy,
+  ObjectState: ObjectState,
+  ProofKeyForCodeExchangePolicy: ProofKeyForCodeExchangePolicy,
+  PublicKeyCredentialType: PublicKeyCredentialType,
+  RateLimitedRequestType: RateLimitedRequestType,
+  ReactorFeatureStatus: ReactorFeatureStatus,
+  RefreshTokenExpirationPolicy: RefreshTokenExpirationPolicy,
+  RefreshTokenUsagePolicy: RefreshTokenUsagePolicy,
+  RegistrationType: RegistrationType,
+  ResidentKeyRequirement: ResidentKeyRequirement,
+  SAMLLogoutBehavior: SAMLLogoutBehavior,
+  SAMLv2DestinationAssertionPolicy: SAMLv2DestinationAssertionPolicy,
+  SecureGeneratorType: SecureGeneratorType,
+  Sort: Sort,
+  SteamAPIMode: SteamAPIMode,
+  SystemTrustedProxyConfigurationPolicy: SystemTrustedProxyConfigurationPolicy,
+  TOTPAlgorithm: TOTPAlgorithm,
+  ThemeType: ThemeType,
+  TokenType: TokenType,
+  TransactionType: TransactionType,
+  UniqueUsernameStrategy: UniqueUsernameStrategy,
+  UnknownScopePolicy: UnknownScopePolicy,
+  UnverifiedBehavior: UnverifiedBehavior,
+  UserActionPhase: UserActionPhase,
+  UserState: UserState,
+  UserVerificationRequirement: UserVerificationRequirement,
+  VerificationStrategy: VerificationStrategy,
+  WebAuthnWorkflow: WebAuthnWorkflow,
+  XMLSignatureLocation: XMLSignatureLocation
+};
+
+Object.keys(FusionAuthClient.enums).forEach((name) => {
+  const values = FusionAuthClient.enums[name];
+  const members = Object.keys(values).map((key) => values[key]);
+  Object.defineProperty(values, 'has', {
+    value: (value) => members.indexOf(value) !== -1
+  });
+  Object.freeze(values);
+});
+
 module.exports = FusionAuthClient;
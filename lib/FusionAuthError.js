@@ -0,0 +1,164 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const url = require("url");
+
+/**
+ * The error a FusionAuthClient rejects with when its failure mode is <code>error</code>. It carries the details of the
+ * failed call and the ClientResponse itself. Use {@link FusionAuthError.fromResponse} to build the subclass that
+ * matches a response.
+ */
+class FusionAuthError extends Error {
+  /**
+   * @param {ClientResponse} response The response of the failed call.
+   * @param {string} [message] The message, built from the response when omitted.
+   */
+  constructor(response, message) {
+    super(message || FusionAuthError._message(response));
+    this.name = this.constructor.name;
+    /** @type {?number} */
+    this.statusCode = response.statusCode;
+    /** @type {?string} */
+    this.method = response.method || null;
+    /** @type {?string} */
+    this.path = response.url ? url.parse(response.url).pathname : null;
+    /** @type {?Errors} */
+    this.errors = FusionAuthError._errors(response.errorResponse);
+    /** @type {Object<string, Array<{code: string, message: string}>>} */
+    this.fieldErrors = (this.errors && this.errors.fieldErrors) || {};
+    /** @type {Array<{code: string, message: string}>} */
+    this.generalErrors = (this.errors && this.errors.generalErrors) || [];
+    /** @type {?Error} */
+    this.exception = response.exception || null;
+    /** @type {ClientResponse} */
+    this.response = response;
+  }
+
+  /**
+   * Builds the error for a failed response, using the most specific subclass.
+   *
+   * @param {ClientResponse} response The response of the failed call.
+   * @returns {FusionAuthError} The error.
+   */
+  static fromResponse(response) {
+    if (response.exception !== null) {
+      return new NetworkError(response);
+    }
+
+    switch (response.statusCode) {
+      case 400:
+        return new ValidationError(response);
+      case 401:
+        return new UnauthorizedError(response);
+      case 404:
+        return new NotFoundError(response);
+      case 429:
+        return new RateLimitedError(response);
+      default:
+        return new FusionAuthError(response);
+    }
+  }
+
+  /**
+   * @param {*} errorResponse The error response of the call.
+   * @returns {?Errors} The errors if the response has the shape of Errors.
+   * @private
+   */
+  static _errors(errorResponse) {
+    if (errorResponse === null || typeof errorResponse !== 'object' || Buffer.isBuffer(errorResponse)) {
+      return null;
+    }
+
+    return errorResponse.fieldErrors || errorResponse.generalErrors ? errorResponse : null;
+  }
+
+  /**
+   * @param {ClientResponse} response The response of the failed call.
+   * @returns {string} The message of the error.
+   * @private
+   */
+  static _message(response) {
+    const request = response.method && response.url ? ' for [' + response.method + ' ' + url.parse(response.url).pathname + ']' : '';
+    if (response.exception !== null) {
+      return 'The call to FusionAuth' + request + ' failed: ' + response.exception.message;
+    }
+
+    let message = 'FusionAuth returned status code [' + response.statusCode + ']' + request + '.';
+    const errors = FusionAuthError._errors(response.errorResponse);
+    if (errors !== null) {
+      const details = (errors.generalErrors || []).map((error) => error.message || error.code);
+      Object.keys(errors.fieldErrors || {}).forEach((field) => {
+        errors.fieldErrors[field].forEach((error) => details.push('[' + field + '] ' + (error.message || error.code)));
+      });
+      if (details.length > 0) {
+        message += ' ' + details.join(' ');
+      }
+    }
+    return message;
+  }
+}
+
+/**
+ * The request failed with a status code of 400, the field and general errors describe what is invalid.
+ */
+class ValidationError extends FusionAuthError {
+}
+
+/**
+ * The request failed with a status code of 401, the API key or the token is missing or invalid.
+ */
+class UnauthorizedError extends FusionAuthError {
+}
+
+/**
+ * The request failed with a status code of 404, the object does not exist.
+ */
+class NotFoundError extends FusionAuthError {
+}
+
+/**
+ * The request failed with a status code of 429. The <code>retryAfter</code> property holds the number of seconds
+ * from the Retry-After header, or null if there is none.
+ */
+class RateLimitedError extends FusionAuthError {
+  /**
+   * @param {ClientResponse} response The response of the failed call.
+   * @param {string} [message] The message, built from the response when omitted.
+   */
+  constructor(response, message) {
+    super(response, message);
+    const retryAfter = response.headers ? parseInt(response.headers['retry-after'], 10) : NaN;
+    /** @type {?number} */
+    this.retryAfter = isNaN(retryAfter) ? null : retryAfter;
+  }
+}
+
+/**
+ * The request did not complete because of a network failure, a timeout or because it was aborted. The underlying
+ * error is the <code>exception</code>.
+ */
+class NetworkError extends FusionAuthError {
+}
+
+FusionAuthError.ValidationError = ValidationError;
+FusionAuthError.UnauthorizedError = UnauthorizedError;
+FusionAuthError.NotFoundError = NotFoundError;
+FusionAuthError.RateLimitedError = RateLimitedError;
+FusionAuthError.NetworkError = NetworkError;
+
+module.exports = FusionAuthError;
@@ -0,0 +1,214 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const InvalidJWTError = require("./InvalidJWTError.js");
+const JWTVerifier = require("./JWTVerifier.js");
+const crypto = require("crypto");
+
+/**
+ * The claims of an OpenID Connect id token. FusionAuth adds the claims of the user that the scopes allow, such as
+ * email and name.
+ *
+ * @typedef {Object} IdTokenClaims
+ *
+ * @property {string} iss The issuer, the issuer of the OpenID configuration.
+ * @property {UUIDString} sub The Id of the user.
+ * @property {string|Array<string>} aud The audience, the client_id.
+ * @property {number} exp The expiration instant in seconds.
+ * @property {number} iat The instant the token was issued in seconds.
+ * @property {number} [auth_time] The instant the user authenticated in seconds.
+ * @property {string} [nonce] The nonce of the authorize request.
+ * @property {string} [at_hash] The hash of the access token issued with the id token.
+ * @property {string} [c_hash] The hash of the authorization code issued with the id token.
+ * @property {string} [azp] The authorized party, the client_id.
+ * @property {string} [email]
+ * @property {boolean} [email_verified]
+ * @property {string} [name]
+ * @property {string} [given_name]
+ * @property {string} [family_name]
+ * @property {string} [preferred_username]
+ * @property {string} [picture]
+ */
+
+/**
+ * @typedef {Object} IdTokenValidatorOptions
+ *
+ * @property {string} clientId The client_id of the application, the expected audience.
+ * @property {number} [clockSkew=60] The number of seconds of clock difference tolerated for exp and iat.
+ * @property {number} [maxAge] The maximum age of the token in seconds (from iat), not checked when omitted.
+ * @property {Array<string>} [algorithms] The accepted signature algorithms, defaults to the
+ *    id_token_signing_alg_values_supported of the OpenID configuration.
+ * @property {string|Buffer|Object<string, (string|Buffer)>} [hmacSecret] The secret of the HMAC signing key, if the
+ *    application signs its id tokens using HMAC.
+ */
+
+/**
+ * @typedef {Object} IdTokenExpectations
+ *
+ * @property {string} [nonce] The nonce sent with the authorize request, the token must carry the same nonce.
+ * @property {string} [accessToken] The access token issued with the id token, checked against the at_hash claim.
+ * @property {string} [code] The authorization code issued with the id token, checked against the c_hash claim.
+ */
+
+/**
+ * Validates OpenID Connect id tokens, such as the <code>id_token</code> of the {@link AccessToken} returned by
+ * {@link FusionAuthClient#exchangeOAuthCodeForAccessToken}. The issuer is read from
+ * {@link FusionAuthClient#retrieveOpenIdConfiguration} and the signature is verified by a {@link JWTVerifier} using the
+ * JSON Web Key Set, both are downloaded by the first validation.
+ *
+ * <pre>
+ *   const validator = new IdTokenValidator(client, {clientId: clientId});
+ *   const claims = await validator.validate(token.id_token, {nonce: session.nonce, accessToken: token.access_token});
+ * </pre>
+ *
+ * @param {FusionAuthClient} client The client used to download the OpenID configuration and the JSON Web Key Set.
+ * @param {IdTokenValidatorOptions} options The options.
+ * @constructor
+ */
+const IdTokenValidator = function(client, options) {
+  if (!options || !options.clientId) {
+    throw new Error('The clientId option is required.');
+  }
+
+  this.client = client;
+  this.clientId = options.clientId;
+  this.clockSkew = typeof options.clockSkew === 'number' ? options.clockSkew : 60;
+  this.maxAge = typeof options.maxAge === 'number' ? options.maxAge : null;
+  this.algorithms = options.algorithms || null;
+  this.hmacSecret = options.hmacSecret || null;
+  /** @type {?Promise<JWTVerifier>} */
+  this.verifier = null;
+};
+
+/**
+ * Computes the at_hash or c_hash of a value, the left half of its hash encoded as base64url.
+ *
+ * @param {string} value The access token or the authorization code.
+ * @param {string} alg The signature algorithm of the id token, for example RS256.
+ * @returns {string} The hash.
+ */
+IdTokenValidator.hash = function(value, alg) {
+  const digest = crypto.createHash('sha' + alg.substring(2)).update(value, 'ascii').digest();
+  return digest.subarray(0, digest.length / 2).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+};
+
+IdTokenValidator.constructor = IdTokenValidator;
+IdTokenValidator.prototype = {
+
+  /**
+   * Validates the signature and the claims of an id token.
+   *
+   * @param {string} idToken The encoded id token.
+   * @param {IdTokenExpectations} [expectations] The values the token must match.
+   * @returns {Promise<IdTokenClaims>} A Promise for the claims of the token. The Promise is rejected with an
+   *    InvalidJWTError if the token is not valid.
+   */
+  validate: async function(idToken, expectations) {
+    expectations = expectations || {};
+    const verifier = await this._verifier();
+    /** @type {IdTokenClaims} */
+    const claims = await verifier.verify(idToken);
+    const now = Date.now() / 1000;
+
+    if (typeof claims.exp !== 'number') {
+      throw new InvalidJWTError('expired', 'The id token has no exp claim.');
+    }
+
+    if (typeof claims.iat !== 'number' || claims.iat - this.clockSkew > now) {
+      throw new InvalidJWTError('issuedAt', 'The id token has no iat claim or was issued in the future.');
+    }
+
+    if (this.maxAge !== null && claims.iat + this.maxAge + this.clockSkew <= now) {
+      throw new InvalidJWTError('issuedAt', 'The id token was issued more than [' + this.maxAge + '] seconds ago.');
+    }
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.clientId) {
+      throw new InvalidJWTError('audience', 'The authorized party [' + claims.azp + '] is not the client.');
+    }
+
+    if (typeof expectations.nonce !== 'undefined' && expectations.nonce !== null && claims.nonce !== expectations.nonce) {
+      throw new InvalidJWTError('nonce', 'The nonce of the id token does not match.');
+    }
+
+    const alg = JWTVerifier.decode(idToken).header.alg;
+    this._verifyHash(claims.at_hash, expectations.accessToken, alg, 'at_hash');
+    this._verifyHash(claims.c_hash, expectations.code, alg, 'c_hash');
+    return claims;
+  },
+
+  /**
+   * Discards the OpenID configuration and the cached keys, they are downloaded again by the next validation.
+   */
+  clear: function() {
+    this.verifier = null;
+  },
+
+  /**
+   * @param {?string} claim The at_hash or c_hash claim.
+   * @param {?string} value The access token or the authorization code, the claim is not checked when omitted.
+   * @param {string} alg The signature algorithm of the token.
+   * @param {string} name The name of the claim.
+   * @private
+   */
+  _verifyHash: function(claim, value, alg, name) {
+    if (typeof value === 'undefined' || value === null || typeof claim === 'undefined') {
+      return;
+    }
+
+    if (claim !== IdTokenValidator.hash(value, alg)) {
+      throw new InvalidJWTError('hash', 'The ' + name + ' claim does not match.');
+    }
+  },
+
+  /**
+   * Downloads the OpenID configuration and creates the verifier, concurrent calls share the same download and a
+   * failed download is retried by the next call.
+   *
+   * @returns {Promise<JWTVerifier>} The verifier, rejected with an InvalidJWTError whose reason is
+   *    <code>unknownKey</code> if the OpenID configuration could not be downloaded.
+   * @private
+   */
+  _verifier: function() {
+    if (this.verifier === null) {
+      const download = JWTVerifier._download(() => this.client.retrieveOpenIdConfiguration(), 'The OpenID configuration');
+      const verifier = download.then((response) => {
+        /** @type {OpenIdConfiguration} */
+        const configuration = response.successResponse;
+        if (!configuration || !configuration.issuer) {
+          throw new InvalidJWTError('unknownKey', 'The OpenID configuration has no issuer.');
+        }
+        return new JWTVerifier(this.client, {
+          issuer: configuration.issuer,
+          audience: this.clientId,
+          algorithms: this.algorithms || configuration.id_token_signing_alg_values_supported,
+          hmacSecret: this.hmacSecret,
+          clockSkew: this.clockSkew
+        });
+      });
+      verifier.catch(() => {
+        if (this.verifier === verifier) {
+          this.verifier = null;
+        }
+      });
+      this.verifier = verifier;
+    }
+    return this.verifier;
+  }
+};
+
+module.exports = IdTokenValidator;
@@ -0,0 +1,53 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * The error a JWT is rejected with when it cannot be verified. The <code>reason</code> identifies the check that
+ * failed:
+ *
+ * <ul>
+ *   <li>malformed - The token is not a signed JWT.</li>
+ *   <li>algorithm - The algorithm is not allowed or does not match the key.</li>
+ *   <li>unknownKey - No key matches the kid of the token.</li>
+ *   <li>signature - The signature is invalid.</li>
+ *   <li>expired - The exp claim is in the past.</li>
+ *   <li>notBefore - The nbf claim is in the future.</li>
+ *   <li>issuer - The iss claim is not the expected issuer.</li>
+ *   <li>audience - The aud claim does not contain the expected audience.</li>
+ *   <li>revoked - The token has been revoked.</li>
+ *   <li>issuedAt - The iat claim of an id token or a webhook signature is missing, in the future or too old.</li>
+ *   <li>nonce - The nonce claim of an id token does not match the nonce of the authorize request.</li>
+ *   <li>hash - The at_hash or c_hash claim of an id token does not match the access token or the code.</li>
+ *   <li>body - The request_body_sha256 claim of a webhook signature does not match the body.</li>
+ *   <li>replayed - The webhook signature has already been accepted.</li>
+ * </ul>
+ */
+class InvalidJWTError extends Error {
+  /**
+   * @param {string} reason The check that failed.
+   * @param {string} message The message.
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = 'InvalidJWTError';
+    /** @type {string} */
+    this.reason = reason;
+  }
+}
+
+module.exports = InvalidJWTError;
@@ -16,20 +16,113 @@
 
 'use strict';
 
+const InvalidJWTError = require('./InvalidJWTError.js');
+const MemoryRevocationStore = require('./MemoryRevocationStore.js');
+
+/**
+ * Checks JWTs against the revocations recorded by {@link JWTManager.revoke} and the other revoke functions.
+ *
+ * The revocations are kept in a store rather than in the <code>JWTManager.revokedJWTs</code> object of previous
+ * versions, which no longer exists: use {@link JWTManager.revoke} and {@link JWTManager.isValid} instead of reading or
+ * writing it. The expired revocations are removed by the default store as revocations are recorded, call
+ * {@link JWTManager.start} to also remove them periodically, for example for a store shared by many processes.
+ */
 const JWTManager = {
-  revokedJWTs: {},
+  /** The store that holds the revocations, see {@link MemoryRevocationStore} for the functions a store provides. */
+  store: new MemoryRevocationStore(),
+  /** @type {?JWTVerifier} */
+  verifier: null,
+  interval: null,
 
   /**
    * Checks if a JWT is valid. This assumes that the JWT contains a property named <code>exp</code> that is a
    * NumericDate value defined in the JWT specification and a property named <code>sub</code> that is the user id the
-   * JWT belongs to.
+   * JWT belongs to. JWTs of an application whose refresh tokens were all revoked, or only those of the user, are
+   * matched using the <code>applicationId</code> property and JWTs revoked individually using the <code>jti</code>
+   * property.
    *
    * @param {object} jwt The JWT object.
-   * @returns {boolean} True if the JWT is valid, false if it isn't.
+   * @returns {boolean|Promise<boolean>} True if the JWT is valid, false if it isn't. This is a Promise when the store
+   *    returns Promises.
    */
   isValid: function(jwt) {
-    const expiration = JWTManager.revokedJWTs[jwt.sub];
-    return typeof(expiration) === 'undefined' || expiration === null || expiration < jwt.exp * 1000;
+    const store = JWTManager.store;
+    const revocations = [
+      store.get('user:' + jwt.sub),
+      jwt.applicationId ? store.get('application:' + jwt.applicationId) : undefined,
+      jwt.applicationId ? store.get('user:' + jwt.sub + ':application:' + jwt.applicationId) : undefined,
+      jwt.jti ? store.get('jti:' + jwt.jti) : undefined
+    ];
+    const check = (expirations) => {
+      return JWTManager._issuedAfter(expirations[0], jwt) && JWTManager._issuedAfter(expirations[1], jwt) &&
+          JWTManager._issuedAfter(expirations[2], jwt) && (typeof(expirations[3]) === 'undefined' || expirations[3] === null);
+    };
+
+    if (revocations.some((revocation) => revocation && typeof revocation.then === 'function')) {
+      return Promise.all(revocations).then(check);
+    }
+    return check(revocations);
+  },
+
+  /**
+   * Sets the store that holds the revocations, for example one that is shared by all the processes of a service.
+   *
+   * @param {Object} store The store.
+   */
+  setStore: function(store) {
+    JWTManager.store = store;
+  },
+
+  /**
+   * Sets the verifier used by {@link JWTManager.verify}.
+   *
+   * @param {?JWTVerifier} verifier The verifier.
+   */
+  setVerifier: function(verifier) {
+    JWTManager.verifier = verifier;
+  },
+
+  /**
+   * Starts removing the expired revocations from the store periodically, which previous versions did as soon as the
+   * module was loaded. The interval is unref'ed so that it does not keep the process alive.
+   *
+   * @param {number} [intervalMillis=7000] The number of milliseconds between two clean-ups.
+   */
+  start: function(intervalMillis) {
+    JWTManager.stop();
+    JWTManager.interval = setInterval(JWTManager._cleanUp, intervalMillis || 7000);
+    JWTManager.interval.unref();
+  },
+
+  /**
+   * Stops the periodic clean-up started by {@link JWTManager.start}.
+   */
+  stop: function() {
+    if (JWTManager.interval !== null) {
+      clearInterval(JWTManager.interval);
+      JWTManager.interval = null;
+    }
+  },
+
+  /**
+   * Decodes and verifies an encoded JWT and then checks that it has not been revoked.
+   *
+   * @param {string} encodedJWT The encoded JWT.
+   * @param {JWTVerifier} [verifier] The verifier, defaults to the one set using {@link JWTManager.setVerifier}.
+   * @returns {Promise<Object>} A Promise for the claims of the JWT, rejected with an InvalidJWTError if the JWT is
+   *    invalid or revoked.
+   */
+  verify: async function(encodedJWT, verifier) {
+    verifier = verifier || JWTManager.verifier;
+    if (!verifier) {
+      throw new Error('A JWTVerifier is required, call JWTManager.setVerifier first.');
+    }
+
+    const jwt = await verifier.verify(encodedJWT);
+    if (!(await JWTManager.isValid(jwt))) {
+      throw new InvalidJWTError('revoked', 'The JWT has been revoked.');
+    }
+    return jwt;
   },
 
   /**
@@ -37,29 +130,111 @@ const JWTManager = {
    *
    * @param {string} userId The user id (usually a UUID as a string).
    * @param {Number} durationSeconds The duration of all JWTs in seconds.
+   * @returns {*} The result of the store, a Promise for stores that are asynchronous.
    */
   revoke: function(userId, durationSeconds) {
-    JWTManager.revokedJWTs[userId] = Date.now() + (durationSeconds * 1000);
+    return JWTManager.store.set('user:' + userId, Date.now() + (durationSeconds * 1000), durationSeconds);
+  },
+
+  /**
+   * Revokes all JWTs issued for the application with the given id using the duration (in seconds).
+   *
+   * @param {string} applicationId The application id.
+   * @param {Number} durationSeconds The duration of all JWTs of the application in seconds.
+   * @returns {*} The result of the store, a Promise for stores that are asynchronous.
+   */
+  revokeApplication: function(applicationId, durationSeconds) {
+    return JWTManager.store.set('application:' + applicationId, Date.now() + (durationSeconds * 1000), durationSeconds);
+  },
+
+  /**
+   * Revokes the JWTs issued to the user with the given id for the application with the given id, the JWTs of the user
+   * for other applications stay valid.
+   *
+   * @param {string} userId The user id.
+   * @param {string} applicationId The application id.
+   * @param {Number} durationSeconds The duration of the JWTs of the application in seconds.
+   * @returns {*} The result of the store, a Promise for stores that are asynchronous.
+   */
+  revokeUserApplication: function(userId, applicationId, durationSeconds) {
+    return JWTManager.store.set('user:' + userId + ':application:' + applicationId, Date.now() + (durationSeconds * 1000),
+                                durationSeconds);
+  },
+
+  /**
+   * Revokes a single JWT using its <code>jti</code> claim, until it expires.
+   *
+   * @param {object} jwt The JWT object, with the <code>jti</code> and <code>exp</code> properties.
+   * @returns {*} The result of the store, a Promise for stores that are asynchronous.
+   */
+  revokeJWT: function(jwt) {
+    if (!jwt.jti) {
+      throw new Error('The JWT has no jti claim.');
+    }
+    const durationSeconds = Math.max(0, Math.ceil(jwt.exp - Date.now() / 1000));
+    return JWTManager.store.set('jti:' + jwt.jti, jwt.exp * 1000, durationSeconds);
+  },
+
+  /**
+   * Records the revocations of a <code>jwt.refresh-token.revoke</code> webhook event, so that the JWTs issued before
+   * the refresh tokens were revoked in FusionAuth are no longer valid. The revocations of a user are recorded for each
+   * application of the event only. Pass every event received by the webhook, the events of other types are ignored.
+   *
+   * @param {EventRequest|BaseEvent} eventRequest The body of the webhook request, or its event.
+   * @returns {boolean|Promise<boolean>} True if the event revoked JWTs. This is a Promise when the store returns
+   *    Promises, it is rejected if the store failed to record a revocation so the webhook can be answered with an error.
+   */
+  handleEvent: function(eventRequest) {
+    /** @type {JWTRefreshTokenRevokeEvent} */
+    const event = eventRequest && eventRequest.event ? eventRequest.event : eventRequest;
+    if (!event || event.type !== 'jwt.refresh-token.revoke') {
+      return false;
+    }
+
+    const timeToLive = event.applicationTimeToLiveInSeconds || {};
+    const applicationIds = Object.keys(timeToLive);
+    if (applicationIds.length === 0) {
+      return false;
+    }
+
+    const results = applicationIds.map((id) => event.userId ?
+        JWTManager.revokeUserApplication(event.userId, id, timeToLive[id]) :
+        JWTManager.revokeApplication(id, timeToLive[id]));
+    if (results.some((result) => result && typeof result.then === 'function')) {
+      return Promise.all(results).then(() => true);
+    }
+    return true;
+  },
+
+  /**
+   * @param {number|undefined} expiration The expiration of a revocation.
+   * @param {object} jwt The JWT object.
+   * @returns {boolean} True if there is no revocation or the JWT expires after it, meaning it was issued after it.
+   * @private
+   */
+  _issuedAfter: function(expiration, jwt) {
+    return typeof(expiration) === 'undefined' || expiration === null || expiration < jwt.exp * 1000;
   },
 
   /**
-   * Cleans up the cache to remove old user's that have expired.
+   * Cleans up the store to remove the revocations that have expired.
    * @private
    */
   _cleanUp: function() {
-    const now = Date.now();
-    Object.keys(JWTManager.revokedJWTs).forEach((item, index, _array) => {
-      const expiration = JWTManager.revokedJWTs[item];
-      if (expiration < now) {
-        delete JWTManager.revokedJWTs[item];
+    if (typeof JWTManager.store.cleanup !== 'function') {
+      return;
+    }
+
+    // A failed clean-up, synchronous or not, is retried by the next interval
+    try {
+      const result = JWTManager.store.cleanup();
+      if (result && typeof result.catch === 'function') {
+        result.catch(() => {});
       }
-    });
+    } catch (err) {
+      // Ignored, see above
+    }
   }
 };
 
-/**
- * Set an interval to clean-up the cache, call .unref() to allow the process to exit without manually calling clearInterval.
- */
-setInterval(JWTManager._cleanUp, 7000).unref();
-
-module.exports = JWTManager;
\ No newline at end of file
+module.exports = JWTManager;
@@ -0,0 +1,355 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const ClientResponse = require("./ClientResponse.js");
+const FusionAuthError = require("./FusionAuthError.js");
+const InvalidJWTError = require("./InvalidJWTError.js");
+const crypto = require("crypto");
+
+/**
+ * The hash and key type of each supported signature algorithm.
+ */
+const ALGORITHMS = {
+  ES256: {hash: 'sha256', type: 'ec'},
+  ES384: {hash: 'sha384', type: 'ec'},
+  ES512: {hash: 'sha512', type: 'ec'},
+  HS256: {hash: 'sha256', type: 'hmac'},
+  HS384: {hash: 'sha384', type: 'hmac'},
+  HS512: {hash: 'sha512', type: 'hmac'},
+  PS256: {hash: 'sha256', type: 'rsa-pss'},
+  PS384: {hash: 'sha384', type: 'rsa-pss'},
+  PS512: {hash: 'sha512', type: 'rsa-pss'},
+  RS256: {hash: 'sha256', type: 'rsa'},
+  RS384: {hash: 'sha384', type: 'rsa'},
+  RS512: {hash: 'sha512', type: 'rsa'}
+};
+
+/**
+ * @typedef {Object} DecodedJWT
+ *
+ * @property {Object} header The JOSE header.
+ * @property {Object} payload The claims.
+ * @property {Buffer} signature The signature.
+ * @property {string} signingInput The encoded header and payload the signature is computed over.
+ */
+
+/**
+ * @typedef {Object} JWTVerifierOptions
+ *
+ * @property {string|Array<string>} [issuer] The accepted values of the iss claim, not checked when omitted.
+ * @property {string|Array<string>} [audience] The accepted values of the aud claim (usually the applicationId), not
+ *    checked when omitted.
+ * @property {Array<string>} [algorithms] The accepted signature algorithms, defaults to all the RSA and EC algorithms
+ *    and to the HMAC algorithms when a hmacSecret is configured.
+ * @property {string|Buffer|Object<string, (string|Buffer)>} [hmacSecret] The secret of the HMAC keys, or the secrets by
+ *    key id. HMAC keys are never published in the JSON Web Key Set.
+ * @property {number} [clockSkew=60] The number of seconds of clock difference tolerated for exp and nbf.
+ * @property {number} [minRefreshInterval=30000] The minimum number of milliseconds between two downloads of the JSON
+ *    Web Key Set, which is downloaded again when a token uses an unknown key id.
+ */
+
+/**
+ * Verifies JWTs issued by FusionAuth locally instead of calling the JWT validate API for every token. The public keys
+ * are downloaded using {@link FusionAuthClient#retrieveJsonWebKeySet} and cached by key id. A token signed with a key
+ * id that is not cached causes the key set to be downloaded again, at most once every <code>minRefreshInterval</code>,
+ * so that key rotation is picked up without letting forged key ids flood FusionAuth.
+ *
+ * @param {FusionAuthClient} client The client used to download the JSON Web Key Set.
+ * @param {JWTVerifierOptions} [options] The options.
+ * @constructor
+ */
+const JWTVerifier = function(client, options) {
+  options = options || {};
+  this.client = client;
+  this.issuer = JWTVerifier._list(options.issuer);
+  this.audience = JWTVerifier._list(options.audience);
+  this.hmacSecret = options.hmacSecret || null;
+  this.algorithms = options.algorithms || Object.keys(ALGORITHMS).filter((alg) => this.hmacSecret !== null || ALGORITHMS[alg].type !== 'hmac');
+  this.clockSkew = typeof options.clockSkew === 'number' ? options.clockSkew : 60;
+  this.minRefreshInterval = typeof options.minRefreshInterval === 'number' ? options.minRefreshInterval : 30000;
+  /** @type {Object<string, crypto.KeyObject>} */
+  this.keys = {};
+  this.lastRefresh = 0;
+  this.refreshing = null;
+};
+
+/**
+ * Decodes a JWT without verifying it.
+ *
+ * @param {string} encodedJWT The encoded JWT.
+ * @returns {DecodedJWT} The decoded JWT.
+ * @throws {InvalidJWTError} If the token is not a JWS in the compact serialization.
+ */
+JWTVerifier.decode = function(encodedJWT) {
+  const parts = typeof encodedJWT === 'string' ? encodedJWT.split('.') : [];
+  if (parts.length !== 3) {
+    throw new InvalidJWTError('malformed', 'The JWT must have three parts.');
+  }
+
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64').toString('utf8'));
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'));
+    if (header === null || typeof header !== 'object' || payload === null || typeof payload !== 'object') {
+      throw new Error('The header and payload must be JSON objects.');
+    }
+    return {
+      header: header,
+      payload: payload,
+      signature: Buffer.from(parts[2], 'base64'),
+      signingInput: parts[0] + '.' + parts[1]
+    };
+  } catch (err) {
+    throw new InvalidJWTError('malformed', 'The JWT could not be decoded. ' + err.message);
+  }
+};
+
+/**
+ * @param {?(string|Array<string>)} value A value or a list of values.
+ * @returns {?Array<string>} The list, or null if the value is not set.
+ * @private
+ */
+JWTVerifier._list = function(value) {
+  if (typeof value === 'undefined' || value === null) {
+    return null;
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Imports a public key of the JSON Web Key Set.
+ *
+ * @param {JSONWebKey} jwk The key.
+ * @returns {?crypto.KeyObject} The key, or null if it cannot be imported.
+ * @private
+ */
+JWTVerifier._importKey = function(jwk) {
+  try {
+    return crypto.createPublicKey({key: jwk, format: 'jwk'});
+  } catch (err) {
+    if (!jwk.x5c || jwk.x5c.length === 0) {
+      return null;
+    }
+  }
+
+  try {
+    const pem = '-----BEGIN CERTIFICATE-----\n' + jwk.x5c[0].match(/.{1,64}/g).join('\n') + '\n-----END CERTIFICATE-----\n';
+    return crypto.createPublicKey(pem);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Downloads what a verifier needs from FusionAuth, whatever the failure mode of the client: it rejects with the
+ * ClientResponse or a FusionAuthError, or resolves with the ClientResponse.
+ *
+ * @param {function(): Promise<ClientResponse>} call Calls the client.
+ * @param {string} what What is downloaded, for the message of the error.
+ * @returns {Promise<ClientResponse>} A Promise for the successful response, rejected with an InvalidJWTError whose
+ *    reason is <code>unknownKey</code> if the download failed.
+ * @private
+ */
+JWTVerifier._download = function(call, what) {
+  return Promise.resolve().then(call).then((response) => response, (reason) => {
+    if (reason instanceof FusionAuthError) {
+      return reason.response;
+    } else if (reason instanceof ClientResponse) {
+      return reason;
+    }
+    throw reason;
+  }).then((response) => {
+    if (!(response instanceof ClientResponse) || !response.wasSuccessful()) {
+      const status = response && response.statusCode ? ' with status code [' + response.statusCode + ']' : '';
+      throw new InvalidJWTError('unknownKey', what + ' could not be downloaded' + status + '.');
+    }
+    return response;
+  });
+};
+
+JWTVerifier.constructor = JWTVerifier;
+JWTVerifier.prototype = {
+
+  /**
+   * Verifies the signature and the claims of a JWT.
+   *
+   * @param {string} encodedJWT The encoded JWT.
+   * @returns {Promise<Object>} A Promise for the claims of the JWT, in the shape of <code>ValidateResponse.jwt</code>.
+   *    The Promise is rejected with an InvalidJWTError if the JWT is not valid.
+   */
+  verify: async function(encodedJWT) {
+    const jwt = JWTVerifier.decode(encodedJWT);
+    const alg = jwt.header.alg;
+    if (!ALGORITHMS.hasOwnProperty(alg) || this.algorithms.indexOf(alg) === -1) {
+      throw new InvalidJWTError('algorithm', 'The algorithm [' + alg + '] is not allowed.');
+    }
+
+    const key = ALGORITHMS[alg].type === 'hmac' ? this._hmacKey(jwt.header.kid) : await this._publicKey(jwt.header.kid);
+    if (!this._verifySignature(alg, key, jwt)) {
+      throw new InvalidJWTError('signature', 'The signature of the JWT is invalid.');
+    }
+
+    this.verifyClaims(jwt.payload);
+    return jwt.payload;
+  },
+
+  /**
+   * Checks the exp, nbf, iss and aud claims of a JWT whose signature has been verified.
+   *
+   * @param {Object} claims The claims.
+   * @throws {InvalidJWTError} If one of the claims is not valid.
+   */
+  verifyClaims: function(claims) {
+    const now = Date.now() / 1000;
+    if (typeof claims.exp === 'number' && claims.exp + this.clockSkew <= now) {
+      throw new InvalidJWTError('expired', 'The JWT expired at [' + new Date(claims.exp * 1000).toISOString() + '].');
+    }
+
+    if (typeof claims.nbf === 'number' && claims.nbf - this.clockSkew > now) {
+      throw new InvalidJWTError('notBefore', 'The JWT is not valid before [' + new Date(claims.nbf * 1000).toISOString() + '].');
+    }
+
+    if (this.issuer !== null && this.issuer.indexOf(claims.iss) === -1) {
+      throw new InvalidJWTError('issuer', 'The issuer [' + claims.iss + '] is not accepted.');
+    }
+
+    if (this.audience !== null) {
+      const audience = JWTVerifier._list(claims.aud) || [];
+      if (!audience.some((aud) => this.audience.indexOf(aud) !== -1)) {
+        throw new InvalidJWTError('audience', 'The audience [' + audience.join(', ') + '] is not accepted.');
+      }
+    }
+  },
+
+  /**
+   * Discards the cached keys, the key set is downloaded again by the next verification.
+   */
+  clear: function() {
+    this.keys = {};
+    this.lastRefresh = 0;
+  },
+
+  /**
+   * @param {?string} kid The key id of the token.
+   * @returns {Buffer|string} The HMAC secret.
+   * @private
+   */
+  _hmacKey: function(kid) {
+    if (typeof this.hmacSecret === 'string' || Buffer.isBuffer(this.hmacSecret)) {
+      return this.hmacSecret;
+    }
+
+    if (this.hmacSecret !== null && kid && this.hmacSecret.hasOwnProperty(kid)) {
+      return this.hmacSecret[kid];
+    }
+
+    throw new InvalidJWTError('unknownKey', 'No HMAC secret is configured for the key id [' + kid + '].');
+  },
+
+  /**
+   * Returns the public key for a key id, downloading the key set again if the key id is not cached.
+   *
+   * @param {?string} kid The key id of the token.
+   * @returns {Promise<crypto.KeyObject>} The key.
+   * @private
+   */
+  _publicKey: async function(kid) {
+    let key = this._cachedKey(kid);
+    if (key === null && (this.refreshing !== null || Date.now() - this.lastRefresh >= this.minRefreshInterval)) {
+      await this._refresh();
+      key = this._cachedKey(kid);
+    }
+
+    if (key === null) {
+      throw new InvalidJWTError('unknownKey', 'No key matches the key id [' + kid + '].');
+    }
+    return key;
+  },
+
+  /**
+   * @param {?string} kid The key id, a token without a key id may only be verified when there is a single key.
+   * @returns {?crypto.KeyObject} The cached key.
+   * @private
+   */
+  _cachedKey: function(kid) {
+    if (kid) {
+      return this.keys.hasOwnProperty(kid) ? this.keys[kid] : null;
+    }
+
+    const kids = Object.keys(this.keys);
+    return kids.length === 1 ? this.keys[kids[0]] : null;
+  },
+
+  /**
+   * Downloads the JSON Web Key Set, concurrent calls share the same download. The cached keys are only replaced by a
+   * successful download, a failed download is rejected with an InvalidJWTError whose reason is <code>unknownKey</code>.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  _refresh: function() {
+    if (this.refreshing === null) {
+      this.lastRefresh = Date.now();
+      this.refreshing = JWTVerifier._download(() => this.client.retrieveJsonWebKeySet(), 'The JSON Web Key Set').then((response) => {
+        const keys = {};
+        ((response.successResponse && response.successResponse.keys) || []).forEach((jwk) => {
+          const key = JWTVerifier._importKey(jwk);
+          if (key !== null && jwk.kid) {
+            keys[jwk.kid] = key;
+          }
+        });
+        this.keys = keys;
+      }).finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  },
+
+  /**
+   * @param {string} alg The algorithm of the token.
+   * @param {crypto.KeyObject|Buffer|string} key The key.
+   * @param {DecodedJWT} jwt The token.
+   * @returns {boolean} True if the signature is valid.
+   * @private
+   */
+  _verifySignature: function(alg, key, jwt) {
+    const algorithm = ALGORITHMS[alg];
+    const data = Buffer.from(jwt.signingInput);
+    if (algorithm.type === 'hmac') {
+      const expected = crypto.createHmac(algorithm.hash, key).update(data).digest();
+      return expected.length === jwt.signature.length && crypto.timingSafeEqual(expected, jwt.signature);
+    }
+
+    // Guards against algorithm confusion, an RSA key may not verify an EC signature and vice versa
+    const keyType = key.asymmetricKeyType === 'rsa-pss' ? 'rsa' : key.asymmetricKeyType;
+    if (keyType !== (algorithm.type === 'rsa-pss' ? 'rsa' : algorithm.type)) {
+      throw new InvalidJWTError('algorithm', 'The algorithm [' + alg + '] does not match the key type [' + key.asymmetricKeyType + '].');
+    }
+
+    const verifyKey = {key: key};
+    if (algorithm.type === 'ec') {
+      verifyKey.dsaEncoding = 'ieee-p1363';
+    } else if (algorithm.type === 'rsa-pss') {
+      verifyKey.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+      verifyKey.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+    }
+    return crypto.verify(algorithm.hash, data, verifyKey, jwt.signature);
+  }
+};
+
+module.exports = JWTVerifier;
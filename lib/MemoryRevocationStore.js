@@ -0,0 +1,89 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * The revocation store used by JWTManager by default, which keeps the revocations in the memory of the process. The
+ * expired revocations are removed as revocations are recorded, at most once per <code>CLEANUP_INTERVAL</code>
+ * milliseconds, so the store does not grow when {@link JWTManager.start} is not called.
+ *
+ * A revocation store maps a key (such as <code>user:{userId}</code>) to the instant, in milliseconds since the epoch,
+ * until which the revocation applies. Other stores, for example one shared by many processes, implement the same
+ * functions and may return Promises from them:
+ *
+ * <ul>
+ *   <li>get(key) - Returns the instant of the revocation, or undefined if there is none or it has expired.</li>
+ *   <li>set(key, expiration, ttlSeconds) - Records a revocation, the ttlSeconds may be used to expire it.</li>
+ *   <li>cleanup() - Removes the expired revocations, a no-op for stores that expire them on their own.</li>
+ * </ul>
+ *
+ * @constructor
+ */
+const MemoryRevocationStore = function() {
+  /** @type {Object<string, number>} */
+  this.revocations = {};
+  this.lastCleanup = Date.now();
+};
+
+MemoryRevocationStore.constructor = MemoryRevocationStore;
+MemoryRevocationStore.prototype = {
+
+  /**
+   * @param {string} key The key of the revocation.
+   * @returns {number|undefined} The instant until which the revocation applies.
+   */
+  get: function(key) {
+    const expiration = this.revocations[key];
+    if (typeof expiration === 'number' && expiration < Date.now()) {
+      delete this.revocations[key];
+      return undefined;
+    }
+    return expiration;
+  },
+
+  /**
+   * @param {string} key The key of the revocation.
+   * @param {number} expiration The instant until which the revocation applies.
+   * @param {number} ttlSeconds The number of seconds until the expiration.
+   */
+  set: function(key, expiration, ttlSeconds) {
+    if (Date.now() - this.lastCleanup >= MemoryRevocationStore.CLEANUP_INTERVAL) {
+      this.cleanup();
+    }
+    this.revocations[key] = expiration;
+  },
+
+  /**
+   * Removes the expired revocations.
+   */
+  cleanup: function() {
+    const now = Date.now();
+    this.lastCleanup = now;
+    Object.keys(this.revocations).forEach((key) => {
+      if (this.revocations[key] < now) {
+        delete this.revocations[key];
+      }
+    });
+  }
+};
+
+/**
+ * The minimum number of milliseconds between two clean-ups done while recording revocations.
+ */
+MemoryRevocationStore.CLEANUP_INTERVAL = 7000;
+
+module.exports = MemoryRevocationStore;
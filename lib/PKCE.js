@@ -0,0 +1,94 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * @typedef {Object} PKCEPair
+ *
+ * @property {string} code_verifier The verifier, kept by the application (for example in the session) until the
+ *    authorization code is exchanged.
+ * @property {string} code_challenge The challenge sent with the authorize request.
+ * @property {string} code_challenge_method Always S256.
+ */
+
+/**
+ * Generates the values of the Proof Key for Code Exchange (RFC 7636) and the other random values of an OAuth flow.
+ *
+ * <pre>
+ *   const pkce = PKCE.generate();
+ *   const state = PKCE.randomValue();
+ *   const url = client.buildAuthorizeURL({client_id: clientId, redirect_uri: redirectURI, state: state,
+ *                                         code_challenge: pkce.code_challenge});
+ *   // And on the redirect
+ *   client.exchangeOAuthCodeForAccessTokenUsingPKCE(code, clientId, null, redirectURI, pkce.code_verifier);
+ * </pre>
+ */
+const PKCE = {
+
+  /**
+   * Generates a code verifier and its S256 code challenge.
+   *
+   * @param {number} [length=64] The length of the code verifier, between 43 and 128 characters.
+   * @returns {PKCEPair} The verifier and the challenge.
+   */
+  generate: function(length) {
+    length = length || 64;
+    if (length < 43 || length > 128) {
+      throw new Error('The code verifier must be between 43 and 128 characters long.');
+    }
+
+    const verifier = PKCE._base64url(crypto.randomBytes(Math.ceil(length * 3 / 4))).substring(0, length);
+    return {
+      code_verifier: verifier,
+      code_challenge: PKCE.challenge(verifier),
+      code_challenge_method: 'S256'
+    };
+  },
+
+  /**
+   * Computes the S256 code challenge of a code verifier.
+   *
+   * @param {string} verifier The code verifier.
+   * @returns {string} The code challenge.
+   */
+  challenge: function(verifier) {
+    return PKCE._base64url(crypto.createHash('sha256').update(verifier, 'ascii').digest());
+  },
+
+  /**
+   * Generates a random URL safe value, suitable for the state and the nonce parameters.
+   *
+   * @param {number} [bytes=32] The number of random bytes.
+   * @returns {string} The value.
+   */
+  randomValue: function(bytes) {
+    return PKCE._base64url(crypto.randomBytes(bytes || 32));
+  },
+
+  /**
+   * @param {Buffer} buffer The bytes.
+   * @returns {string} The bytes encoded as base64url without padding.
+   * @private
+   */
+  _base64url: function(buffer) {
+    return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  }
+};
+
+module.exports = PKCE;
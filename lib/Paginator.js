@@ -0,0 +1,142 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * The property of the search response that holds the results, for each paginated search method of FusionAuthClient.
+ *
+ * @type {Object<string, string>}
+ */
+const RESULT_PROPERTIES = {
+  searchApplications: 'applications',
+  searchAuditLogs: 'auditLogs',
+  searchConsents: 'consents',
+  searchEmailTemplates: 'emailTemplates',
+  searchEntities: 'entities',
+  searchEntityGrants: 'grants',
+  searchEntityTypes: 'entityTypes',
+  searchEventLogs: 'eventLogs',
+  searchGroupMembers: 'members',
+  searchGroups: 'groups',
+  searchIPAccessControlLists: 'ipAccessControlLists',
+  searchIdentityProviders: 'identityProviders',
+  searchKeys: 'keys',
+  searchLambdas: 'lambdas',
+  searchLoginRecords: 'logins',
+  searchTenants: 'tenants',
+  searchThemes: 'themes',
+  searchUserComments: 'userComments',
+  searchUsersByQuery: 'users',
+  searchUsersByQueryString: 'users',
+  searchWebhooks: 'webhooks'
+};
+
+/**
+ * An async iterable over the results of one of the search methods of FusionAuthClient. The pages are fetched as the
+ * results are consumed. The <code>nextResults</code> token is followed when the search returns one (the Elasticsearch
+ * backed searches), otherwise the <code>startRow</code> of the criteria is advanced.
+ *
+ * The <code>total</code> is the total reported by FusionAuth, it is available once the first page has been fetched.
+ *
+ * @param {FusionAuthClient} client The client used to call the search method.
+ * @param {string} method The name of the search method, for example searchAuditLogs.
+ * @param {Object} request The search request, its search criteria define the first page.
+ * @param {IterateOptions} [options] The page size and the maximum number of results to return.
+ * @constructor
+ */
+const Paginator = function(client, method, request, options) {
+  if (!RESULT_PROPERTIES.hasOwnProperty(method)) {
+    throw new Error('The method [' + method + '] is not a paginated search method.');
+  }
+
+  options = options || {};
+  request = request || {};
+  // A client that resolves failed calls would otherwise end the iteration silently
+  this.client = client.options.failureMode === 'resolve' ? client.withOptions({failureMode: 'reject'}) : client;
+  this.method = method;
+  this.property = RESULT_PROPERTIES[method];
+  this.request = request;
+  this.pageSize = options.pageSize || (request.search && request.search.numberOfResults) || 100;
+  this.maxItems = typeof options.maxItems === 'number' ? options.maxItems : Infinity;
+  /** @type {?number} */
+  this.total = null;
+};
+
+/**
+ * @returns {string[]} The names of the search methods that can be paginated.
+ */
+Paginator.methods = function() {
+  return Object.keys(RESULT_PROPERTIES);
+};
+
+Paginator.constructor = Paginator;
+Paginator.prototype = {
+
+  /**
+   * Fetches the pages and yields their results one at a time.
+   *
+   * @returns {AsyncGenerator<Object>} The results.
+   */
+  [Symbol.asyncIterator]: async function*() {
+    let search = Object.assign({}, this.request.search, {numberOfResults: this.pageSize});
+    let count = 0;
+    while (count < this.maxItems) {
+      const page = Object.assign({}, this.request, {search: search});
+      const response = (await this.client[this.method](page)).successResponse || {};
+      if (typeof response.total === 'number') {
+        this.total = response.total;
+      }
+
+      const results = response[this.property] || [];
+      for (const result of results) {
+        if (count >= this.maxItems) {
+          return;
+        }
+        count++;
+        yield result;
+      }
+
+      if (results.length === 0) {
+        return;
+      }
+
+      if (response.nextResults) {
+        search = {nextResults: response.nextResults, numberOfResults: this.pageSize};
+      } else if (search.nextResults || results.length < this.pageSize) {
+        return;
+      } else {
+        search = Object.assign({}, search, {startRow: (search.startRow || 0) + results.length});
+      }
+    }
+  },
+
+  /**
+   * Collects all the results into an array, use this only when the number of results is known to be small or maxItems
+   * is set.
+   *
+   * @returns {Promise<Array<Object>>} The results.
+   */
+  toArray: async function() {
+    const results = [];
+    for await (const result of this) {
+      results.push(result);
+    }
+    return results;
+  }
+};
+
+module.exports = Paginator;
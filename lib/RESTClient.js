@@ -16,7 +16,10 @@
 
 'use strict';
 
+const AbortError = require("./AbortError.js");
 const ClientResponse = require("./ClientResponse.js");
+const ProxyAgent = require("./ProxyAgent.js");
+const TimeoutError = require("./TimeoutError.js");
 const http = require("http");
 const https = require("https");
 const queryString = require("querystring");
@@ -29,13 +32,20 @@ const url = require("url");
  * @constructor
  */
 const RESTClient = function() {
+  this.agent = null;
   this.headers = {};
+  this.interceptors = [];
   this.parameters = null;
   this.restUrl = null;
   this.body = null;
   this.certificate = null;
   this.key = null;
   this.method = null;
+  this.proxy = null;
+  this.responseStream = null;
+  this.retryPolicy = null;
+  this.signal = null;
+  this.timeouts = null;
 };
 
 RESTClient.constructor = RESTClient;
@@ -51,6 +61,18 @@ RESTClient.prototype = {
     return this;
   },
 
+  /**
+   * Sets the agent that manages the connections of the request, for example a keep-alive agent that is shared by many
+   * requests. The default agent of the http or https module is used when it is not set.
+   *
+   * @param {?(http.Agent|https.Agent)} agent The agent, or null to use the default agent.
+   * @returns {RESTClient}
+   */
+  setAgent: function(agent) {
+    this.agent = agent || null;
+    return this;
+  },
+
   /**
    * Sets the authorization header using username and password
    *
@@ -175,8 +197,129 @@ RESTClient.prototype = {
       }
       this.restUrl = this.restUrl + queryString.stringify(this.parameters);
     }
+
+    if (this.interceptors.length === 0) {
+      this._execute(responseHandler);
+      return;
+    }
+
+    const dispatch = (index, request) => {
+      if (index === this.interceptors.length) {
+        this._apply(request);
+        return new Promise((resolve) => this._execute(resolve));
+      }
+
+      return new Promise((resolve) => resolve(this.interceptors[index](request, (next) => dispatch(index + 1, next || request))));
+    };
+    const request = {method: this.method, url: this.restUrl, headers: this.headers, body: this.body};
+    dispatch(0, request).then((clientResponse) => {
+      if (clientResponse instanceof ClientResponse) {
+        return clientResponse;
+      }
+      return this._failure(new Error('An interceptor did not return the ClientResponse resolved by next().'));
+    }, (error) => this._failure(error)).then((clientResponse) => {
+      // The handler runs outside of the pipeline so that an exception it throws is not swallowed by the Promise
+      process.nextTick(responseHandler, clientResponse);
+    });
+  },
+
+  /**
+   * Builds the response of a request that did not complete.
+   *
+   * @param {Error} error The exception of the response.
+   * @returns {ClientResponse} The response.
+   * @private
+   */
+  _failure: function(error) {
+    const clientResponse = new ClientResponse();
+    clientResponse.method = this.method;
+    clientResponse.url = this.restUrl;
+    clientResponse.exception = error;
+    return clientResponse;
+  },
+
+  /**
+   * Copies the request seen by the interceptors back to this client before it is sent.
+   *
+   * @param {InterceptedRequest} request The request.
+   * @private
+   */
+  _apply: function(request) {
+    this.method = request.method;
+    this.restUrl = request.url;
+    this.headers = request.headers;
+    if (request.body !== this.body) {
+      this.body = request.body;
+      if (this.body !== null && typeof this.body !== 'undefined' && this.headers['Content-Length'] !== undefined) {
+        this.headers['Content-Length'] = Buffer.byteLength(this.body);
+      }
+    }
+  },
+
+  /**
+   * Sends the request, retrying it according to the retry policy.
+   *
+   * @param {RESTClient~callback} responseHandler The response handler function callback.
+   * @private
+   */
+  _execute: function(responseHandler) {
+    const policy = this.retryPolicy;
+    const signal = this.signal;
+    // The total timeout covers every attempt and the delays between them
+    const deadline = this.timeouts && this.timeouts.total ? Date.now() + this.timeouts.total : null;
+    const attempt = (number) => {
+      this._send((clientResponse) => {
+        // A body that was partially written to the response stream cannot be taken back
+        let willRetry = policy !== null && !clientResponse.streamed && policy.shouldRetry(number, this.method, clientResponse);
+        let delay = willRetry ? policy.getDelay(number, clientResponse) : 0;
+        if (willRetry && deadline !== null && Date.now() + delay >= deadline) {
+          willRetry = false;
+          delay = 0;
+        }
+        if (policy !== null && typeof policy.onAttempt === 'function') {
+          policy.onAttempt({
+            attempt: number,
+            method: this.method,
+            url: this.restUrl,
+            response: clientResponse,
+            willRetry: willRetry,
+            delay: delay
+          });
+        }
+
+        if (!willRetry) {
+          responseHandler(clientResponse);
+          return;
+        }
+
+        const onAbort = () => {
+          clearTimeout(timer);
+          responseHandler(this._failure(new AbortError(signal.reason)));
+        };
+        const timer = setTimeout(function() {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          attempt(number + 1);
+        }, delay);
+        if (signal) {
+          signal.addEventListener('abort', onAbort, {once: true});
+        }
+      }, deadline);
+    };
+    attempt(1);
+  },
+
+  /**
+   * Sends the request once.
+   *
+   * @param {RESTClient~callback} responseHandler The response handler function callback.
+   * @param {?number} deadline The instant the total timeout elapses at, null if there is no total timeout.
+   * @private
+   */
+  _send: function(responseHandler, deadline) {
     const scheme = url.parse(this.restUrl);
-    const myHttp = scheme.protocol === 'https:' ? https : http;
+    let myHttp = scheme.protocol === 'https:' ? https : http;
 
     let port = 443;
     if (scheme.port) {
@@ -193,46 +336,212 @@ RESTClient.prototype = {
       headers: this.headers
     };
 
+    if (this.agent !== null) {
+      options.agent = this.agent;
+    }
+
+    if (this.proxy !== null && scheme.protocol === 'http:') {
+      // Plain http requests are sent to the proxy using the absolute URL as the path
+      const proxy = new URL(this.proxy);
+      myHttp = proxy.protocol === 'https:' ? https : http;
+      options.hostname = proxy.hostname;
+      options.port = proxy.port || (proxy.protocol === 'https:' ? 443 : 80);
+      options.path = this.restUrl;
+      options.headers = Object.assign({Host: scheme.host}, this.headers);
+      const authorization = ProxyAgent.authorization(this.proxy);
+      if (authorization !== null) {
+        options.headers['Proxy-Authorization'] = authorization;
+      }
+    } else if (this.proxy !== null && !(options.agent instanceof ProxyAgent)) {
+      options.agent = new ProxyAgent(this.proxy);
+    }
+
+    let tunnel = null;
+    if (options.agent instanceof ProxyAgent) {
+      // The connect timeout covers the CONNECT handshake, the tunnel is destroyed with the request
+      options.connectTimeout = (this.timeouts && this.timeouts.connect) || null;
+      options.onTunnel = function(connectRequest) {
+        tunnel = connectRequest;
+      };
+    }
+
     if (scheme.protocol === 'https:') {
       options.key = this.key;
       options.cert = this.certificate;
     }
 
     const clientResponse = new ClientResponse();
-    let streamData = '';
-    const request = myHttp.request(options, function(response) {
+    clientResponse.method = this.method;
+    clientResponse.url = this.restUrl;
+    const timeouts = this.timeouts || {};
+    const signal = this.signal;
+    const start = Date.now();
+    let request = null;
+    let stream = null;
+    let connectTimer = null;
+    let totalTimer = null;
+    let done = false;
+
+    const onAbort = function() {
+      fail(new AbortError(signal.reason));
+    };
+
+    const finish = function(error) {
+      if (done) {
+        return;
+      }
+      done = true;
+      clientResponse.duration = Date.now() - start;
+      clearTimeout(connectTimer);
+      clearTimeout(totalTimer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (error && stream !== null) {
+        stream.destroy();
+      }
+      if (error) {
+        clientResponse.exception = error;
+        if (clientResponse.statusCode === null && !(error instanceof TimeoutError) && !(error instanceof AbortError)) {
+          clientResponse.statusCode = 500;
+        }
+      }
+      responseHandler(clientResponse);
+    };
+
+    const fail = function(error) {
+      finish(error);
+      if (request !== null) {
+        request.destroy();
+      }
+      if (tunnel !== null) {
+        tunnel.destroy();
+      }
+    };
+
+    if (signal && signal.aborted) {
+      finish(new AbortError(signal.reason));
+      return;
+    }
+
+    const self = this;
+    const chunks = [];
+    request = myHttp.request(options, function(response) {
       clientResponse.statusCode = response.statusCode;
+      clientResponse.headers = response.headers;
+      if (self.responseStream !== null && clientResponse.wasSuccessful()) {
+        stream = typeof self.responseStream === 'function' ? self.responseStream() : self.responseStream;
+        clientResponse.streamed = true;
+        stream.on('error', function(error) {
+          finish(error);
+          request.destroy();
+        }).on('finish', function() {
+          finish(null);
+        });
+        response.on('error', function(error) {
+          finish(error);
+        }).pipe(stream);
+        return;
+      }
+
       response.on('data', function(data) {
-        streamData += data;
+        chunks.push(data);
       }).on('error', function(error) {
-        clientResponse.exception = error;
+        finish(error);
       }).on('exception', function(exception) {
         clientResponse.exception = exception;
       }).on('end', function() {
-        let json = streamData;
-        try {
-          if (streamData.length > 0) {
-            json = JSON.parse(streamData);
-          }
-        } catch (err) {
-          console.error(err);
+        if (done) {
+          return;
         }
+        clientResponse.rawBody = Buffer.concat(chunks);
+        const body = self._parseBody(clientResponse);
         if (clientResponse.wasSuccessful()) {
-          clientResponse.successResponse = json || null;
+          clientResponse.successResponse = body;
         } else {
-          clientResponse.errorResponse = json || null;
+          clientResponse.errorResponse = body;
         }
-        responseHandler(clientResponse);
+        finish(null);
       });
     });
     request.on('error', function(error) {
-      clientResponse.statusCode = 500;
-      clientResponse.exception = error;
-      responseHandler(clientResponse);
+      finish(error);
     });
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+    if (deadline !== null) {
+      totalTimer = setTimeout(function() {
+        fail(new TimeoutError('total', timeouts.total));
+      }, Math.max(0, deadline - Date.now()));
+    }
+    if (timeouts.connect) {
+      request.on('socket', function(socket) {
+        if (!socket.connecting) {
+          return;
+        }
+        connectTimer = setTimeout(function() {
+          fail(new TimeoutError('connect', timeouts.connect));
+        }, timeouts.connect);
+        socket.once('connect', function() {
+          clearTimeout(connectTimer);
+        });
+      });
+    }
+    if (timeouts.read) {
+      request.setTimeout(timeouts.read, function() {
+        fail(new TimeoutError('read', timeouts.read));
+      });
+    }
+
     request.end(this.body);
   },
 
+  /**
+   * Decodes the raw body of the response based on its Content-Type. JSON is parsed, text is decoded to a string and
+   * anything else (zip archives, images, etc.) is kept as a Buffer. A response without a Content-Type is parsed as JSON
+   * when possible, otherwise it is decoded as text if it is valid UTF-8 and kept as a Buffer if it is not. A JSON body
+   * that cannot be parsed is returned as text and the error is set as the <code>parseError</code> of the response.
+   *
+   * @param {ClientResponse} clientResponse The response that holds the raw body.
+   * @returns {*} The decoded body, or null if the body is empty.
+   * @private
+   */
+  _parseBody: function(clientResponse) {
+    const rawBody = clientResponse.rawBody;
+    if (rawBody.length === 0) {
+      return null;
+    }
+
+    const contentType = String(clientResponse.headers['content-type'] || '').toLowerCase();
+    const mediaType = contentType.split(';')[0].trim();
+    const charset = /charset="?([^";]+)"?/.exec(contentType);
+    const encoding = charset !== null && Buffer.isEncoding(charset[1]) ? charset[1] : 'utf8';
+    const json = mediaType === 'application/json' || /\+json$/.test(mediaType);
+    const text = mediaType.indexOf('text/') === 0 || /^application\/(.+\+)?(xml|javascript|x-www-form-urlencoded)$/.test(mediaType);
+
+    if (mediaType !== '' && !json && !text) {
+      return rawBody;
+    }
+
+    const string = rawBody.toString(encoding);
+    if (text) {
+      return string;
+    }
+
+    try {
+      return JSON.parse(string);
+    } catch (err) {
+      if (json) {
+        clientResponse.parseError = err;
+        return string;
+      }
+      // Without a Content-Type, only a body that survives the round trip through UTF-8 is text
+      return Buffer.from(string, encoding).equals(rawBody) ? string : rawBody;
+    }
+  },
+
   /**
    * Creates a header field in the format 'key' : value
    *
@@ -266,6 +575,107 @@ RESTClient.prototype = {
     return this;
   },
 
+  /**
+   * @typedef {Object} InterceptedRequest
+   *
+   * @property {string} method The http method.
+   * @property {string} url The full URL including the query string.
+   * @property {Object<string, *>} headers The request headers.
+   * @property {?string} body The encoded request body.
+   */
+
+  /**
+   * An interceptor is called with the request before it is sent and a <code>next</code> function that continues the
+   * pipeline. It may change the request (or pass a new one to <code>next</code>) and must return the ClientResponse
+   * (or a Promise for it) that <code>next</code> resolved, optionally after inspecting or changing it.
+   *
+   * @callback RESTClient~interceptor
+   *
+   * @param {InterceptedRequest} request The request.
+   * @param {function(InterceptedRequest=): Promise<ClientResponse>} next Sends the request through the rest of the pipeline.
+   * @returns {ClientResponse|Promise<ClientResponse>} The response.
+   */
+
+  /**
+   * Sets the interceptors the request passes through, in order. The first interceptor sees the request first and the
+   * response last. A failure of an interceptor completes the request with it as the exception of the ClientResponse.
+   *
+   * @param {?RESTClient~interceptor[]} interceptors The interceptors.
+   * @returns {RESTClient}
+   */
+  setInterceptors: function(interceptors) {
+    this.interceptors = interceptors || [];
+    return this;
+  },
+
+  /**
+   * Sets the proxy the request is sent through. Requests to https URLs are tunnelled through the proxy using CONNECT,
+   * the agent set using {@link RESTClient#setAgent} is only used for these requests if it is a ProxyAgent.
+   *
+   * @param {?string} proxy The URL of the proxy, optionally with basic auth credentials, or null to connect directly.
+   * @returns {RESTClient}
+   */
+  setProxy: function(proxy) {
+    this.proxy = proxy || null;
+    return this;
+  },
+
+  /**
+   * Sets the stream the body of a successful response is written to instead of being buffered, for large downloads such
+   * as zip archives. The body of a failed response is still parsed into the errorResponse.
+   *
+   * @param {?(stream.Writable|function(): stream.Writable)} responseStream The stream, or a function that creates it
+   *    once the response is known to be successful.
+   * @returns {RESTClient}
+   */
+  setResponseStream: function(responseStream) {
+    this.responseStream = responseStream || null;
+    return this;
+  },
+
+  /**
+   * Sets the policy used to retry the request when it fails.
+   *
+   * @param {?RetryPolicy} retryPolicy The policy, or null to never retry the request.
+   * @returns {RESTClient}
+   */
+  setRetryPolicy: function(retryPolicy) {
+    this.retryPolicy = retryPolicy || null;
+    return this;
+  },
+
+  /**
+   * Sets an AbortSignal that cancels the request when it is aborted. A cancelled request completes with an
+   * AbortError as the exception of the ClientResponse.
+   *
+   * @param {?AbortSignal} signal The signal, or null to remove it.
+   * @returns {RESTClient}
+   */
+  setSignal: function(signal) {
+    this.signal = signal || null;
+    return this;
+  },
+
+  /**
+   * Sets the timeouts of the request in milliseconds. A timeout that is not set (or is 0) is not enforced. When a
+   * timeout elapses the request completes with a TimeoutError as the exception of the ClientResponse.
+   *
+   * <ul>
+   *   <li>connect - The maximum time to establish the connection to the server, including the CONNECT
+   *   handshake when the request is tunnelled through a proxy.</li>
+   *   <li>read - The maximum time the connection may be idle while waiting on the server.</li>
+   *   <li>total - The maximum time for the entire request, including reading the response and every retry. A retry
+   *   that would start after the total timeout has elapsed is not attempted.</li>
+   * </ul>
+   *
+   * @param {?{connect: ?number, read: ?number, total: ?number}} timeouts The timeouts, or null to remove them.
+   * @returns {RESTClient}
+   */
+  setTimeouts: function(timeouts) {
+    this.timeouts = timeouts || null;
+    return this;
+  },
+
   /**
    * Sets the uri of the REST request
    * @param {?string} uri
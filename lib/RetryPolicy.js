@@ -0,0 +1,131 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const AbortError = require("./AbortError.js");
+
+/**
+ * @typedef {Object} RetryAttempt
+ *
+ * @property {number} attempt The number of the attempt that completed, starting at 1.
+ * @property {string} method The http method of the request.
+ * @property {string} url The URL of the request.
+ * @property {ClientResponse} response The response of the attempt.
+ * @property {boolean} willRetry True if the request will be attempted again.
+ * @property {number} delay The number of milliseconds before the next attempt, 0 if there is none.
+ */
+
+/**
+ * @typedef {Object} RetryPolicyOptions
+ *
+ * @property {number} [maxAttempts=3] The maximum number of attempts, including the first one.
+ * @property {number} [baseDelay=100] The delay in milliseconds before the first retry, doubled for every retry after it.
+ * @property {number} [maxDelay=10000] The maximum delay in milliseconds between two attempts. A Retry-After header asking
+ *    for a longer delay stops the retries.
+ * @property {boolean} [jitter=true] Whether a random delay between 0 and the exponential delay is used (full jitter).
+ * @property {string[]} [methods] The http methods that are retried, defaults to GET, HEAD, OPTIONS, PUT and DELETE. Add
+ *    POST or PATCH to opt-in to retrying calls that are not idempotent.
+ * @property {number[]} [statusCodes] The status codes that are retried, defaults to 429, 502, 503 and 504.
+ * @property {function(RetryAttempt)} [onAttempt] Called after every attempt, for example to log it.
+ */
+
+/**
+ * Decides when a failed request is attempted again and how long to wait before doing so. Requests that failed because
+ * of a network error or a timeout, or with one of the retryable status codes, are retried using an exponential backoff.
+ * A Retry-After header returned by FusionAuth is honoured. The total timeout of the request covers all of its attempts,
+ * so no attempt is made once it would elapse.
+ *
+ * A custom policy only needs to provide the <code>shouldRetry</code> and <code>getDelay</code> functions (and
+ * optionally <code>onAttempt</code>).
+ *
+ * @param {RetryPolicyOptions} [options] The options of the policy.
+ * @constructor
+ */
+const RetryPolicy = function(options) {
+  options = options || {};
+  this.maxAttempts = typeof options.maxAttempts === 'number' ? options.maxAttempts : 3;
+  this.baseDelay = typeof options.baseDelay === 'number' ? options.baseDelay : 100;
+  this.maxDelay = typeof options.maxDelay === 'number' ? options.maxDelay : 10000;
+  this.jitter = options.jitter !== false;
+  this.methods = (options.methods || RetryPolicy.IDEMPOTENT_METHODS).map((method) => method.toUpperCase());
+  this.statusCodes = options.statusCodes || RetryPolicy.RETRYABLE_STATUS_CODES;
+  this.onAttempt = options.onAttempt || null;
+};
+
+RetryPolicy.IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+RetryPolicy.RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+
+RetryPolicy.constructor = RetryPolicy;
+RetryPolicy.prototype = {
+
+  /**
+   * @param {number} attempt The number of the attempt that failed, starting at 1.
+   * @param {string} method The http method of the request.
+   * @param {ClientResponse} response The response of the attempt.
+   * @returns {boolean} True if the request should be attempted again.
+   */
+  shouldRetry: function(attempt, method, response) {
+    if (attempt >= this.maxAttempts || this.methods.indexOf(method) === -1 || response.exception instanceof AbortError) {
+      return false;
+    }
+
+    if (response.exception === null && this.statusCodes.indexOf(response.statusCode) === -1) {
+      return false;
+    }
+
+    const retryAfter = this._retryAfter(response);
+    return retryAfter === null || retryAfter <= this.maxDelay;
+  },
+
+  /**
+   * @param {number} attempt The number of the attempt that failed, starting at 1.
+   * @param {ClientResponse} response The response of the attempt.
+   * @returns {number} The number of milliseconds to wait before the next attempt.
+   */
+  getDelay: function(attempt, response) {
+    const retryAfter = this._retryAfter(response);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+    return this.jitter ? Math.floor(Math.random() * delay) : delay;
+  },
+
+  /**
+   * Parses the Retry-After header of the response, which is either a number of seconds or an HTTP date.
+   *
+   * @param {ClientResponse} response The response.
+   * @returns {?number} The delay in milliseconds, or null if the header is missing or invalid.
+   * @private
+   */
+  _retryAfter: function(response) {
+    const header = response.headers ? response.headers['retry-after'] : undefined;
+    if (typeof header === 'undefined' || header === null) {
+      return null;
+    }
+
+    if (/^\s*\d+\s*$/.test(header)) {
+      return parseInt(header, 10) * 1000;
+    }
+
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+};
+
+module.exports = RetryPolicy;
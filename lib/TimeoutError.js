@@ -0,0 +1,42 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * The error set as the <code>exception</code> of a ClientResponse when one of the configured request timeouts elapses.
+ *
+ * The <code>phase</code> is one of <code>connect</code>, <code>read</code> or <code>total</code> and identifies which
+ * timeout was exceeded.
+ */
+class TimeoutError extends Error {
+  /**
+   * @param {string} phase The timeout that elapsed (connect, read or total).
+   * @param {number} timeout The configured timeout in milliseconds.
+   */
+  constructor(phase, timeout) {
+    super('The ' + phase + ' timeout of ' + timeout + ' ms was exceeded.');
+    this.name = 'TimeoutError';
+    /** @type {string} */
+    this.code = 'ETIMEDOUT';
+    /** @type {string} */
+    this.phase = phase;
+    /** @type {number} */
+    this.timeout = timeout;
+  }
+}
+
+module.exports = TimeoutError;
@@ -0,0 +1,239 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require("events");
+const FusionAuthError = require("./FusionAuthError.js");
+const JWTVerifier = require("./JWTVerifier.js");
+
+/**
+ * @typedef {Object} TokenSetOptions
+ *
+ * @property {string} [clientId] The client id used to refresh OAuth tokens.
+ * @property {string} [clientSecret] The client secret used to refresh OAuth tokens.
+ * @property {string} [scope] The scope requested when refreshing OAuth tokens.
+ * @property {number} [refreshBefore=60] The number of seconds before the expiration of the access token from which it is
+ *    refreshed.
+ */
+
+/**
+ * The tokens of a user session, built from the {@link AccessToken} of an OAuth grant or from the {@link LoginResponse}
+ * of the login API. The access token is refreshed using the refresh token when it is about to expire: on demand by
+ * {@link TokenSet#getAccessToken}, or ahead of time once {@link TokenSet#start} has been called. Concurrent refreshes
+ * share the same call and a rotated refresh token replaces the previous one.
+ *
+ * OAuth tokens are refreshed using {@link FusionAuthClient#exchangeRefreshTokenForAccessToken} and the tokens of the
+ * login API using {@link FusionAuthClient#exchangeRefreshTokenForJWT}.
+ *
+ * Events:
+ * <ul>
+ *   <li>refresh - Emitted with the TokenSet after the tokens have been refreshed, for example to store them again.</li>
+ *   <li>refreshError - Emitted with the error when a refresh fails.</li>
+ * </ul>
+ */
+class TokenSet extends EventEmitter {
+  /**
+   * @param {FusionAuthClient} client The client used to refresh the tokens.
+   * @param {AccessToken|LoginResponse} tokens The tokens.
+   * @param {TokenSetOptions} [options] The options.
+   */
+  constructor(client, tokens, options) {
+    super();
+    options = options || {};
+    // The failures are turned into errors here, whatever the failure mode of the client
+    this.client = client.withOptions({failureMode: 'resolve'});
+    this.oauth = typeof tokens.access_token === 'string';
+    this.clientId = options.clientId || null;
+    this.clientSecret = options.clientSecret || null;
+    this.scope = options.scope || null;
+    this.refreshBefore = typeof options.refreshBefore === 'number' ? options.refreshBefore : 60;
+    this.refreshing = null;
+    /** @type {boolean} */
+    this.running = false;
+    this.timer = null;
+    this._update(tokens);
+  }
+
+  /**
+   * Returns the access token, refreshing it first if it is about to expire. If the refresh fails while the access token
+   * has not expired yet, the current token is returned.
+   *
+   * @returns {Promise<string>} A Promise for the access token, rejected if the token has expired and cannot be refreshed.
+   */
+  async getAccessToken() {
+    if (this.refreshToken === null || !this.isExpiring()) {
+      if (this.isExpired()) {
+        throw new Error('The access token has expired and there is no refresh token.');
+      }
+      return this.accessToken;
+    }
+
+    try {
+      await this.refresh();
+    } catch (err) {
+      if (this.isExpired()) {
+        throw err;
+      }
+    }
+    return this.accessToken;
+  }
+
+  /**
+   * Refreshes the tokens, concurrent calls share the same refresh.
+   *
+   * @returns {Promise<TokenSet>} A Promise for this TokenSet, rejected with a FusionAuthError if the refresh fails.
+   */
+  refresh() {
+    if (this.refreshing === null) {
+      this.refreshing = this._exchange().then((tokens) => {
+        this.refreshing = null;
+        this._update(tokens);
+        this.emit('refresh', this);
+        return this;
+      }, (err) => {
+        this.refreshing = null;
+        this.emit('refreshError', err);
+        throw err;
+      });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * @returns {boolean} True if the access token has expired. A token whose expiration is unknown never expires.
+   */
+  isExpired() {
+    return this.expiresAt !== null && this.expiresAt <= Date.now();
+  }
+
+  /**
+   * @returns {boolean} True if the access token expires within <code>refreshBefore</code> seconds.
+   */
+  isExpiring() {
+    return this.expiresAt !== null && this.expiresAt - (this.refreshBefore * 1000) <= Date.now();
+  }
+
+  /**
+   * Refreshes the tokens ahead of time, <code>refreshBefore</code> seconds before the access token expires, until
+   * {@link TokenSet#stop} is called. Tokens that are already about to expire are refreshed right away. A failed refresh
+   * is retried until the access token expires, waiting at least a quarter of <code>refreshBefore</code> (and one
+   * second) between two attempts.
+   *
+   * @returns {TokenSet} This TokenSet.
+   */
+  start() {
+    this.stop();
+    this.running = true;
+    this._schedule(0);
+    return this;
+  }
+
+  /**
+   * Stops refreshing the tokens ahead of time.
+   */
+  stop() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.running = false;
+  }
+
+  /**
+   * Schedules the next refresh ahead of time.
+   *
+   * @param {number} minimumDelay The minimum number of milliseconds before the refresh.
+   * @private
+   */
+  _schedule(minimumDelay) {
+    if (!this.running || this.expiresAt === null || this.refreshToken === null || this.isExpired()) {
+      return;
+    }
+
+    const delay = Math.max(this.expiresAt - (this.refreshBefore * 1000) - Date.now(), minimumDelay);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      // Backs off after a failure, or when the new access token is already about to expire
+      const backoff = Math.max(this.refreshBefore * 250, 1000);
+      this.refresh().then(() => this._schedule(this.isExpiring() ? backoff : 0), () => this._schedule(backoff));
+    }, delay);
+    this.timer.unref();
+  }
+
+  /**
+   * @returns {Promise<AccessToken|JWTRefreshResponse>} The refreshed tokens.
+   * @private
+   */
+  async _exchange() {
+    if (this.refreshToken === null) {
+      throw new Error('There is no refresh token.');
+    }
+
+    const response = this.oauth ?
+        await this.client.exchangeRefreshTokenForAccessToken(this.refreshToken, this.clientId, this.clientSecret, this.scope, null) :
+        await this.client.exchangeRefreshTokenForJWT({refreshToken: this.refreshToken, token: this.accessToken});
+    if (!response.wasSuccessful()) {
+      throw FusionAuthError.fromResponse(response);
+    }
+    return response.successResponse;
+  }
+
+  /**
+   * @param {AccessToken|LoginResponse|JWTRefreshResponse} tokens The tokens.
+   * @private
+   */
+  _update(tokens) {
+    /** @type {string} */
+    this.accessToken = this.oauth ? tokens.access_token : tokens.token;
+    // The refresh token is only returned again when it is rotated
+    /** @type {?string} */
+    this.refreshToken = (this.oauth ? tokens.refresh_token : tokens.refreshToken) || this.refreshToken || null;
+    /** @type {?string} */
+    this.refreshTokenId = (this.oauth ? tokens.refresh_token_id : tokens.refreshTokenId) || this.refreshTokenId || null;
+    if (this.oauth && tokens.id_token) {
+      /** @type {?string} */
+      this.idToken = tokens.id_token;
+    } else if (typeof this.idToken === 'undefined') {
+      this.idToken = null;
+    }
+
+    if (this.oauth && typeof tokens.expires_in === 'number') {
+      /** @type {?number} */
+      this.expiresAt = Date.now() + (tokens.expires_in * 1000);
+    } else if (!this.oauth && typeof tokens.tokenExpirationInstant === 'number') {
+      this.expiresAt = tokens.tokenExpirationInstant;
+    } else {
+      this.expiresAt = TokenSet._expiration(this.accessToken);
+    }
+  }
+
+  /**
+   * @param {string} accessToken The access token.
+   * @returns {?number} The instant in milliseconds the access token expires at, null if it is not a JWT with an exp claim.
+   * @private
+   */
+  static _expiration(accessToken) {
+    try {
+      const exp = JWTVerifier.decode(accessToken).payload.exp;
+      return typeof exp === 'number' ? exp * 1000 : null;
+    } catch (err) {
+      return null;
+    }
+  }
+}
+
+module.exports = TokenSet;
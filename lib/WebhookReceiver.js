@@ -0,0 +1,244 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const InvalidJWTError = require("./InvalidJWTError.js");
+
+/**
+ * Handles an event, the events of the transactional types may be rejected by throwing or rejecting.
+ *
+ * @callback WebhookReceiver~handler
+ * @param {BaseEvent} event The event, for example a UserCreateEvent for user.create.
+ * @param {EventRequest} eventRequest The body of the webhook request.
+ * @returns {*|Promise<*>} Nothing, or a Promise the next handlers wait for.
+ */
+
+/**
+ * @typedef {Object} WebhookReceiverOptions
+ *
+ * @property {WebhookVerifier} [verifier] Verifies the signature of the requests, the requests are not verified when
+ *    omitted.
+ * @property {function(Error, ?BaseEvent)} [onError] Called with the errors of the handlers and of the signature
+ *    verification.
+ */
+
+/**
+ * @typedef {Object} WebhookResult
+ *
+ * @property {number} statusCode The status code to respond to FusionAuth with.
+ * @property {?BaseEvent} event The event, null if the request was rejected.
+ * @property {Array<Error>} errors The errors of the handlers.
+ */
+
+/**
+ * Receives the webhooks of FusionAuth and dispatches their events to the handlers registered for their type. A pattern
+ * ending with <code>*</code> matches the types starting with the pattern, for example <code>user.registration.*</code>
+ * matches user.registration.create and user.registration.create.complete, and <code>*</code> matches every type.
+ *
+ * Every handler of an event runs, in the order they were registered, even when one of them fails. The response tells
+ * FusionAuth whether the event was accepted: if a handler of a transactional event fails the response is 500, so that
+ * FusionAuth fails the operation if the transaction setting of the webhook requires it. The <code>*.complete</code>
+ * events are sent once the operation has been committed, so they are acknowledged with 200 even if a handler fails.
+ * A body that is not an event is rejected with 400 and a signature that is not valid with 401.
+ *
+ * <pre>
+ *   const receiver = new WebhookReceiver({verifier: new WebhookVerifier(client, {signingKeyId: keyId})})
+ *       .on(EventType.UserCreate, (event) => provision(event.user))
+ *       .on(EventType.JWTRefreshTokenRevoke, (event) => JWTManager.handleEvent(event));
+ *   app.post('/webhook', express.raw({type: 'application/json'}), receiver.middleware());
+ * </pre>
+ *
+ * @param {WebhookReceiverOptions} [options] The options.
+ * @constructor
+ */
+const WebhookReceiver = function(options) {
+  options = options || {};
+  this.verifier = options.verifier || null;
+  this.onError = options.onError || null;
+  /** @type {Array<{pattern: string, handler: WebhookReceiver~handler}>} */
+  this.handlers = [];
+};
+
+/**
+ * @param {string} type The type of an event.
+ * @returns {boolean} True if FusionAuth waits for the response to the event within the transaction of the operation.
+ */
+WebhookReceiver.isTransactional = function(type) {
+  return !/\.complete$/.test(type);
+};
+
+/**
+ * @param {string} pattern The pattern, a type or a prefix ending with *.
+ * @param {string} type The type of an event.
+ * @returns {boolean} True if the pattern matches the type.
+ * @private
+ */
+WebhookReceiver._matches = function(pattern, type) {
+  if (pattern.charAt(pattern.length - 1) === '*') {
+    return type.indexOf(pattern.substring(0, pattern.length - 1)) === 0;
+  }
+  return pattern === type;
+};
+
+/**
+ * @param {Buffer|string|Object} body The body.
+ * @returns {?EventRequest} The parsed body, null if it is not JSON.
+ * @private
+ */
+WebhookReceiver._parse = function(body) {
+  if (!Buffer.isBuffer(body) && typeof body !== 'string') {
+    return body;
+  }
+
+  try {
+    return JSON.parse(body.toString());
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * @param {Object} req The request.
+ * @returns {Promise<Buffer|string|Object>} The body set by a body parser, or else the raw body read from the request.
+ * @private
+ */
+WebhookReceiver._body = function(req) {
+  if (typeof req.body !== 'undefined') {
+    return Promise.resolve(req.body);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+};
+
+WebhookReceiver.constructor = WebhookReceiver;
+WebhookReceiver.prototype = {
+
+  /**
+   * Registers a handler for the events of a type.
+   *
+   * @param {EventType|string} pattern The type, or a pattern ending with * such as <code>user.registration.*</code>.
+   * @param {WebhookReceiver~handler} handler The handler.
+   * @returns {WebhookReceiver} This receiver.
+   */
+  on: function(pattern, handler) {
+    if (typeof pattern !== 'string' || typeof handler !== 'function') {
+      throw new Error('A pattern and a handler function are required.');
+    }
+    this.handlers.push({pattern: pattern, handler: handler});
+    return this;
+  },
+
+  /**
+   * Removes a handler registered by {@link WebhookReceiver#on}.
+   *
+   * @param {EventType|string} pattern The pattern the handler was registered for.
+   * @param {WebhookReceiver~handler} handler The handler.
+   * @returns {WebhookReceiver} This receiver.
+   */
+  off: function(pattern, handler) {
+    this.handlers = this.handlers.filter((registration) => registration.pattern !== pattern || registration.handler !== handler);
+    return this;
+  },
+
+  /**
+   * Verifies a webhook request, validates its event and runs the handlers of its type.
+   *
+   * @param {Buffer|string|EventRequest} body The raw body, or the parsed body when there is no verifier.
+   * @param {string} [signature] The value of the X-FusionAuth-Signature-JWT header, required when there is a verifier.
+   * @returns {Promise<WebhookResult>} A Promise for the result, it is never rejected.
+   */
+  handle: async function(body, signature) {
+    let eventRequest;
+    if (this.verifier !== null) {
+      try {
+        eventRequest = await this.verifier.verify(body, signature);
+      } catch (err) {
+        this._report(err, null);
+        const statusCode = err instanceof SyntaxError ? 400 : (err instanceof InvalidJWTError ? 401 : 500);
+        return {statusCode: statusCode, event: null, errors: []};
+      }
+    } else {
+      eventRequest = WebhookReceiver._parse(body);
+    }
+
+    if (!eventRequest || typeof eventRequest.event !== 'object' || eventRequest.event === null ||
+        typeof eventRequest.event.type !== 'string') {
+      return {statusCode: 400, event: null, errors: []};
+    }
+
+    const event = eventRequest.event;
+    const errors = [];
+    const handlers = this.handlers.filter((registration) => WebhookReceiver._matches(registration.pattern, event.type));
+    for (const registration of handlers) {
+      try {
+        await registration.handler(event, eventRequest);
+      } catch (err) {
+        errors.push(err);
+        this._report(err, event);
+      }
+    }
+
+    return {
+      statusCode: errors.length > 0 && WebhookReceiver.isTransactional(event.type) ? 500 : 200,
+      event: event,
+      errors: errors
+    };
+  },
+
+  /**
+   * Returns an Express/Connect middleware that responds to the webhook requests. The raw body is read from the request
+   * unless a body parser has already set <code>req.body</code>, use <code>express.raw()</code> rather than
+   * <code>express.json()</code> when the signatures are verified.
+   *
+   * @returns {function(Object, Object, Function)} The middleware.
+   */
+  middleware: function() {
+    return (req, res, next) => {
+      WebhookReceiver._body(req).then((body) => {
+        if (this.verifier !== null && !Buffer.isBuffer(body) && typeof body !== 'string') {
+          throw new Error('The raw body of the request is required to verify its signature.');
+        }
+        return this.handle(body, req.headers['x-fusionauth-signature-jwt']);
+      }).then((result) => {
+        res.statusCode = result.statusCode;
+        res.end();
+      }, next);
+    };
+  },
+
+  /**
+   * @param {Error} err The error.
+   * @param {?BaseEvent} event The event.
+   * @private
+   */
+  _report: function(err, event) {
+    if (this.onError !== null) {
+      try {
+        this.onError(err, event);
+      } catch (ignore) {
+        // The errors of the error callback do not change the response
+      }
+    }
+  }
+};
+
+module.exports = WebhookReceiver;
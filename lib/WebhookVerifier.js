@@ -0,0 +1,205 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const ClientResponse = require("./ClientResponse.js");
+const InvalidJWTError = require("./InvalidJWTError.js");
+const JWTVerifier = require("./JWTVerifier.js");
+const crypto = require("crypto");
+
+/**
+ * @typedef {Object} WebhookVerifierOptions
+ *
+ * @property {UUIDString} [signingKeyId] The Id of the signing key of the webhook (its
+ *    <code>signatureConfiguration.signingKeyId</code>), retrieved using {@link FusionAuthClient#retrieveKey}. Required for
+ *    HMAC keys, the public keys are otherwise read from the JSON Web Key Set.
+ * @property {number} [maxAge=300] The maximum age in seconds of a signature, from its iat claim.
+ * @property {number} [clockSkew=60] The number of seconds of clock difference tolerated.
+ */
+
+/**
+ * Verifies the <code>X-FusionAuth-Signature-JWT</code> header of the webhooks sent by FusionAuth. The header is a JWT
+ * signed by the signing key of the webhook whose <code>request_body_sha256</code> claim is the SHA-256 hash of the
+ * body. The signature is verified by a {@link JWTVerifier}, the body must match the hash and a signature is only
+ * accepted once so a captured event cannot be replayed.
+ *
+ * The accepted signatures are remembered in the memory of the process only, until they are too old to be accepted
+ * anyway. When the webhook is served by several processes, a signature accepted by one of them is still accepted once
+ * by each of the others within <code>maxAge</code> seconds, so keep <code>maxAge</code> short or route the webhook to a
+ * single process if replays must be rejected everywhere.
+ *
+ * <pre>
+ *   const verifier = new WebhookVerifier(client, {signingKeyId: webhook.signatureConfiguration.signingKeyId});
+ *   app.post('/webhook', express.raw({type: 'application/json'}), async (req, res) => {
+ *     const event = await verifier.verify(req.body, req.get(WebhookVerifier.HEADER));
+ *   });
+ * </pre>
+ *
+ * @param {FusionAuthClient} client The client used to retrieve the signing key. Retrieving a key by Id requires an API
+ *    key with access to the key API.
+ * @param {WebhookVerifierOptions} [options] The options.
+ * @constructor
+ */
+const WebhookVerifier = function(client, options) {
+  options = options || {};
+  this.client = client;
+  this.signingKeyId = options.signingKeyId || null;
+  this.maxAge = typeof options.maxAge === 'number' ? options.maxAge : 300;
+  this.clockSkew = typeof options.clockSkew === 'number' ? options.clockSkew : 60;
+  /** @type {?Promise<JWTVerifier>} */
+  this.verifier = null;
+  /** @type {Map<string, number>} The instants the accepted signatures expire at, by signature, in this process only */
+  this.seen = new Map();
+};
+
+/**
+ * The header holding the signature.
+ */
+WebhookVerifier.HEADER = 'X-FusionAuth-Signature-JWT';
+
+/**
+ * Computes the request_body_sha256 claim of a body.
+ *
+ * @param {Buffer|string} body The raw body.
+ * @returns {string} The SHA-256 hash of the body encoded as base64.
+ */
+WebhookVerifier.hash = function(body) {
+  return crypto.createHash('sha256').update(body).digest('base64');
+};
+
+/**
+ * Compares two hashes in constant time, regardless of their base64 or base64url encoding.
+ *
+ * @param {?string} claim The hash of the claim.
+ * @param {string} expected The expected hash.
+ * @returns {boolean} True if the hashes are equal.
+ * @private
+ */
+WebhookVerifier._equal = function(claim, expected) {
+  if (typeof claim !== 'string') {
+    return false;
+  }
+
+  const a = Buffer.from(claim, 'base64');
+  const b = Buffer.from(expected, 'base64');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+WebhookVerifier.constructor = WebhookVerifier;
+WebhookVerifier.prototype = {
+
+  /**
+   * Verifies the signature of a webhook and returns its event. Pass the body exactly as it was received, before it is
+   * parsed as JSON.
+   *
+   * @param {Buffer|string} body The raw body.
+   * @param {string} signature The value of the X-FusionAuth-Signature-JWT header.
+   * @returns {Promise<Object>} A Promise for the parsed body, the event request. The Promise is rejected with an
+   *    InvalidJWTError if the signature is missing or not valid (reason <code>body</code> if the body does not match
+   *    and <code>replayed</code> if the signature was already accepted).
+   */
+  verify: async function(body, signature) {
+    const verifier = await this._verifier();
+    const claims = await verifier.verify(signature);
+    const now = Date.now() / 1000;
+    if (typeof claims.iat !== 'number' || claims.iat - this.clockSkew > now || claims.iat + this.maxAge + this.clockSkew <= now) {
+      throw new InvalidJWTError('issuedAt', 'The signature has no iat claim or was not issued within the last [' + this.maxAge + '] seconds.');
+    }
+
+    if (!WebhookVerifier._equal(claims.request_body_sha256, WebhookVerifier.hash(body))) {
+      throw new InvalidJWTError('body', 'The request_body_sha256 claim does not match the body.');
+    }
+
+    this._forget(now);
+    if (this.seen.has(signature)) {
+      throw new InvalidJWTError('replayed', 'The signature has already been accepted.');
+    }
+    this.seen.set(signature, claims.iat + this.maxAge + this.clockSkew);
+    return JSON.parse(Buffer.isBuffer(body) ? body.toString('utf8') : body);
+  },
+
+  /**
+   * Discards the cached signing key, it is retrieved again by the next verification.
+   */
+  clear: function() {
+    this.verifier = null;
+  },
+
+  /**
+   * Discards the accepted signatures that are too old to be accepted again anyway.
+   *
+   * @param {number} now The current instant in seconds.
+   * @private
+   */
+  _forget: function(now) {
+    this.seen.forEach((expiration, signature) => {
+      if (expiration <= now) {
+        this.seen.delete(signature);
+      }
+    });
+  },
+
+  /**
+   * Creates the verifier of the signatures. Without a signing key Id the public keys are read from the JSON Web Key
+   * Set, otherwise the signing key is retrieved once and is the only key accepted. Concurrent calls share the same
+   * retrieval and a failed retrieval is retried by the next call.
+   *
+   * @returns {Promise<JWTVerifier>} The verifier, rejected with an InvalidJWTError whose reason is
+   *    <code>unknownKey</code> if the signing key could not be retrieved.
+   * @private
+   */
+  _verifier: function() {
+    if (this.verifier !== null) {
+      return this.verifier;
+    }
+
+    if (this.signingKeyId === null) {
+      this.verifier = Promise.resolve(new JWTVerifier(this.client, {clockSkew: this.clockSkew}));
+      return this.verifier;
+    }
+
+    const download = JWTVerifier._download(() => this.client.retrieveKey(this.signingKeyId), 'The signing key');
+    const verifier = download.then((response) => {
+      /** @type {Key} */
+      const key = response.successResponse.key;
+      const options = {algorithms: [key.algorithm], clockSkew: this.clockSkew};
+      if (key.type === 'HMAC') {
+        options.hmacSecret = {[key.kid]: key.secret};
+        return new JWTVerifier(null, options);
+      }
+
+      // Serves the signing key to the verifier as a JSON Web Key Set of a single key
+      const jwk = Object.assign(crypto.createPublicKey(key.publicKey).export({format: 'jwk'}), {kid: key.kid, alg: key.algorithm});
+      const keySet = {retrieveJsonWebKeySet: () => {
+        const keySetResponse = new ClientResponse();
+        keySetResponse.statusCode = 200;
+        keySetResponse.successResponse = {keys: [jwk]};
+        return Promise.resolve(keySetResponse);
+      }};
+      return new JWTVerifier(keySet, options);
+    });
+    verifier.catch(() => {
+      if (this.verifier === verifier) {
+        this.verifier = null;
+      }
+    });
+    this.verifier = verifier;
+    return verifier;
+  }
+};
+
+module.exports = WebhookVerifier;
@@ -0,0 +1,680 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+/*
+ * Generates index.d.ts, the TypeScript declarations of the package, from the JSDoc of the modules exported by index.js:
+ *
+ *   npm run declarations
+ *
+ * The @typedef and @callback comments become types, the enums of FusionAuthClient become frozen constants with a type
+ * of the same name, and the constructor functions, classes and objects become classes and constants whose members are
+ * typed using their @param, @returns and @type tags. Private members (starting with _) are left out. The test suite
+ * checks that the checked in declarations are up to date and match the implementation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * The types that are not declared by the package.
+ */
+const GLOBAL_TYPES = ['AbortSignal', 'Array', 'AsyncGenerator', 'Buffer', 'Date', 'EventEmitter', 'Function', 'Map',
+                      'Promise', 'Record', 'Set', 'any', 'boolean', 'never', 'null', 'number', 'object', 'string',
+                      'undefined', 'unknown', 'void'];
+
+/**
+ * The JSDoc names that are spelled differently in TypeScript.
+ */
+const TYPE_NAMES = {
+  Boolean: 'boolean',
+  Number: 'number',
+  Object: 'any',
+  String: 'string',
+  char: 'string',
+  function: 'Function'
+};
+
+/**
+ * A JSDoc comment split into its description and its tags.
+ *
+ * @param {string} text The lines of the comment, without the comment markers.
+ * @constructor
+ */
+const JSDoc = function(text) {
+  this.text = text;
+  this.description = [];
+  /** @type {Array<{tag: string, type: ?string, name: ?string, optional: boolean, rest: string}>} */
+  this.tags = [];
+
+  let inDescription = true;
+  text.split('\n').forEach((line) => {
+    const match = line.match(/^\s*@(\w+)\s*(.*)$/);
+    if (match === null) {
+      if (inDescription) {
+        this.description.push(line);
+      } else if (line.trim() !== '') {
+        // Continues the description of the previous tag
+        const previous = this.tags[this.tags.length - 1];
+        previous.rest = (previous.rest + ' ' + line.trim()).trim();
+      }
+      return;
+    }
+
+    inDescription = false;
+    let rest = match[2];
+    let type = null;
+    if (rest.charAt(0) === '{') {
+      const end = JSDoc._closingBrace(rest);
+      type = rest.substring(1, end);
+      rest = rest.substring(end + 1).trim();
+    }
+
+    let name = null;
+    let optional = false;
+    if (match[1] === 'extends') {
+      name = rest.trim();
+      rest = '';
+    } else if (['param', 'property', 'typedef', 'callback', 'template'].indexOf(match[1]) !== -1) {
+      const nameMatch = rest.match(/^(\[[^\]]*\]|\S+)\s*(.*)$/);
+      if (nameMatch !== null) {
+        name = nameMatch[1];
+        rest = nameMatch[2];
+        if (name.charAt(0) === '[') {
+          optional = true;
+          name = name.substring(1, name.length - 1).split('=')[0];
+        }
+      }
+    }
+    this.tags.push({tag: match[1], type: type, name: name, optional: optional, rest: rest});
+  });
+
+  while (this.description.length > 0 && this.description[this.description.length - 1].trim() === '') {
+    this.description.pop();
+  }
+  while (this.description.length > 0 && this.description[0].trim() === '') {
+    this.description.shift();
+  }
+};
+
+/**
+ * @param {string} text The text starting with an opening brace.
+ * @returns {number} The index of the matching closing brace.
+ */
+JSDoc._closingBrace = function(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text.charAt(i) === '{') {
+      depth++;
+    } else if (text.charAt(i) === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  throw new Error('Unbalanced braces in [' + text + ']');
+};
+
+JSDoc.prototype = {
+  has: function(tag) {
+    return this.tags.some((t) => t.tag === tag);
+  },
+
+  first: function(tag) {
+    return this.tags.find((t) => t.tag === tag || (tag === 'returns' && t.tag === 'return')) || null;
+  },
+
+  all: function(tag) {
+    return this.tags.filter((t) => t.tag === tag);
+  },
+
+  /**
+   * @returns {string[]} The names declared by the @template tags, such as T.
+   */
+  templates: function() {
+    return this.all('template').map((t) => (t.type || t.name).replace(/[{}]/g, '').trim());
+  }
+};
+
+/**
+ * Converts a JSDoc type expression to TypeScript.
+ *
+ * @param {string} expression The JSDoc type, for example ?Array<string>.
+ * @param {Object} context The names of the types of the file: nativeError is true if Error is the built-in error.
+ * @returns {{type: string, optional: boolean}} The TypeScript type, and whether the type ended with =.
+ */
+function convertType(expression, context) {
+  const tokens = expression.match(/'[^']*'|"[^"]*"|[\w$.~]+|\S/g) || [];
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new Error('Expected [' + token + '] in the type [' + expression + ']');
+    }
+  };
+  const wrap = (type) => /[|&]|=>/.test(type) && !/^\(.*\)$/.test(type) ? '(' + type + ')' : type;
+
+  let optional = false;
+  let nullable = false;
+  const union = () => {
+    const saved = nullable;
+    nullable = false;
+    const types = [term()];
+    while (peek() === '|') {
+      next();
+      types.push(term());
+    }
+    if (nullable) {
+      types.push('null');
+    }
+    nullable = saved;
+    return types.filter((type, index) => types.indexOf(type) === index).join(' | ');
+  };
+  const term = () => {
+    if (peek() === '?') {
+      next();
+      nullable = true;
+    } else if (peek() === '!') {
+      next();
+    }
+
+    let type = primary();
+    while (peek() === '[' && tokens[position + 1] === ']') {
+      position += 2;
+      type = wrap(type) + '[]';
+    }
+    if (peek() === '=') {
+      next();
+      optional = true;
+    }
+    return type;
+  };
+  const args = () => {
+    const types = [];
+    expect('<');
+    types.push(union());
+    while (peek() === ',') {
+      next();
+      types.push(union());
+    }
+    expect('>');
+    return types;
+  };
+  const primary = () => {
+    const token = next();
+    if (token === '(') {
+      const saved = nullable;
+      const type = union();
+      expect(')');
+      nullable = saved || / \| null$/.test(type);
+      return type.replace(/ \| null$/, '');
+    } else if (token === '*') {
+      return 'any';
+    } else if (token === '{') {
+      const fields = [];
+      while (peek() !== '}') {
+        const name = next();
+        expect(':');
+        fields.push(name + ': ' + union());
+        if (peek() === ',') {
+          next();
+        }
+      }
+      next();
+      return '{' + fields.join('; ') + '}';
+    } else if (/^['"]/.test(token)) {
+      return "'" + token.substring(1, token.length - 1) + "'";
+    } else if (token === 'function' && peek() === '(') {
+      next();
+      const params = [];
+      while (peek() !== ')') {
+        const saved = optional;
+        optional = false;
+        const type = union();
+        params.push('arg' + params.length + (optional ? '?' : '') + ': ' + type);
+        optional = saved;
+        if (peek() === ',') {
+          next();
+        }
+      }
+      next();
+      let returns = 'void';
+      if (peek() === ':') {
+        next();
+        returns = union();
+      }
+      return '((' + params.join(', ') + ') => ' + returns + ')';
+    } else if (typeof token === 'undefined' || !/^[\w$]/.test(token)) {
+      throw new Error('Unexpected [' + token + '] in the type [' + expression + ']');
+    }
+
+    const typeArgs = peek() === '<' ? args() : null;
+    if (token === 'Object' && typeArgs !== null) {
+      return typeArgs.length === 1 ? 'Record<string, ' + typeArgs[0] + '>' : 'Record<' + typeArgs.join(', ') + '>';
+    }
+    if (token === 'Error' && context.nativeError) {
+      return 'globalThis.Error';
+    }
+
+    const name = TYPE_NAMES.hasOwnProperty(token) ? TYPE_NAMES[token] : token.replace('~', '.');
+    if (typeArgs !== null) {
+      return name + '<' + typeArgs.join(', ') + '>';
+    }
+    return name === 'Array' ? 'any[]' : (name === 'Promise' ? 'Promise<any>' : name);
+  };
+
+  const type = union();
+  if (position !== tokens.length) {
+    throw new Error('Unexpected [' + peek() + '] in the type [' + expression + ']');
+  }
+  return {type: type, optional: optional};
+}
+
+/**
+ * Parses the declarations of a module: its typedefs and callbacks, its enums, and its exported classes, constructor
+ * functions and objects.
+ *
+ * @param {string} file The path of the module.
+ * @returns {Array<Object>} The declarations in the order of the module.
+ */
+function parseModule(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  const lines = source.split('\n');
+  const context = {nativeError: path.basename(file) !== 'FusionAuthClient.js'};
+  const exported = (source.match(/^module\.exports = (\w+);/m) || [])[1];
+  const declarations = [];
+  const byName = {};
+  let doc = null;
+  let owner = null;
+  let block = null;
+
+  const type = (expression) => expression === null ? {type: 'any', optional: false} : convertType(expression, context);
+  const member = (name, params, jsdoc, flags) => {
+    const member = Object.assign({name: name, params: [], returns: null, templates: [], doc: jsdoc}, flags);
+    let optional = false;
+    params.split(',').map((param) => param.trim()).filter((param) => param.length > 0).forEach((param) => {
+      const tag = jsdoc ? jsdoc.all('param').find((t) => t.name === param) : null;
+      const converted = type(tag ? tag.type : null);
+      optional = optional || (tag !== null && (tag.optional || converted.optional));
+      member.params.push({name: param, type: converted.type, optional: optional});
+    });
+    if (jsdoc) {
+      member.templates = jsdoc.templates();
+      const returns = jsdoc.first('returns');
+      member.returns = returns !== null && returns.type !== null ? type(returns.type).type : null;
+    }
+    if (member.returns === null) {
+      member.returns = flags.async ? 'Promise<void>' : 'void';
+    }
+    return member;
+  };
+  const declare = (declaration) => {
+    // The API has a few models of the same name, their properties are merged like TypeScript merges interfaces
+    const existing = byName[declaration.name];
+    if (existing && existing.kind === 'interface' && declaration.kind === 'interface') {
+      declaration.properties.filter((p) => !existing.properties.some((e) => e.name === p.name))
+                 .forEach((p) => existing.properties.push(p));
+      return existing;
+    }
+    declarations.push(declaration);
+    byName[declaration.name] = declaration;
+    return declaration;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // A comment, either a standalone typedef or callback or the documentation of the next line
+    const commentStart = line.match(/^\s*\/\*\*(.*)$/);
+    if (commentStart !== null) {
+      const text = [];
+      let current = commentStart[1];
+      while (current.indexOf('*/') === -1) {
+        text.push(current);
+        current = lines[++i].replace(/^\s*\*(?!\/) ?/, '');
+      }
+      text.push(current.substring(0, current.indexOf('*/')));
+      const jsdoc = new JSDoc(text.join('\n').replace(/^\s*\*\s?/gm, ''));
+      if (jsdoc.has('typedef')) {
+        const typedef = jsdoc.first('typedef');
+        const base = jsdoc.first('extends');
+        declare({
+          kind: typedef.type === 'Object' ? 'interface' : 'alias',
+          name: typedef.name,
+          doc: jsdoc,
+          type: typedef.type === 'Object' ? null : type(typedef.type).type,
+          templates: jsdoc.templates(),
+          extends: base === null ? null : type(base.type || base.name).type,
+          properties: jsdoc.all('property').map((t) => {
+            const converted = type(t.type);
+            return {name: t.name, type: converted.type, optional: t.optional || converted.optional, doc: t.rest};
+          })
+        });
+        doc = null;
+      } else if (jsdoc.has('callback')) {
+        const name = jsdoc.first('callback').name.split('~');
+        const callback = member(name[name.length - 1], jsdoc.all('param').map((t) => t.name).join(','), jsdoc, {});
+        declare({kind: 'callback', name: name.join('.'), owner: name.length > 1 ? name[0] : null, doc: jsdoc, callback: callback});
+        doc = null;
+      } else {
+        doc = jsdoc;
+      }
+      continue;
+    }
+
+    if (line.trim() === '' || /^\s*\/\//.test(line)) {
+      continue;
+    }
+
+    let match;
+    if (owner === null) {
+      if ((match = line.match(/^var (\w+) = \{$/)) !== null && doc !== null && doc.has('enum')) {
+        const values = [];
+        while (!/^\};/.test(lines[++i])) {
+          const value = lines[i].match(/^\s+([\w$]+): '([^']*)',?$/);
+          values.push([value[1], value[2]]);
+        }
+        declare({kind: 'enum', name: match[1], doc: doc, values: values});
+      } else if ((match = line.match(/^const (\w+) = function\((.*)\) \{$/)) !== null && match[1] === exported) {
+        owner = declare({kind: 'class', name: match[1], doc: doc, templates: doc ? doc.templates() : [], extends: null,
+                         ctor: member('constructor', match[2], doc, {}), members: [], fields: []});
+        block = 'constructor';
+      } else if ((match = line.match(/^class (\w+)(?: extends ([\w.]+))? \{$/)) !== null) {
+        const base = match[2] ? (match[2] === 'Error' ? 'globalThis.Error' : match[2]) : null;
+        owner = declare({kind: 'class', name: match[1], doc: doc, templates: [], extends: base, ctor: null, members: [],
+                         fields: []});
+        block = 'class';
+      } else if ((match = line.match(/^const (\w+) = \{$/)) !== null && match[1] === exported) {
+        owner = declare({kind: 'object', name: match[1], doc: doc, members: [], fields: []});
+        block = 'object';
+      } else if ((match = line.match(/^(\w+)\.prototype = \{$/)) !== null && byName.hasOwnProperty(match[1])) {
+        owner = byName[match[1]];
+        block = 'prototype';
+      } else if ((match = line.match(/^(\w+)\.([A-Za-z]\w*) = (?:(async )?function\((.*)\) \{|(.*);)$/)) !== null &&
+                 byName.hasOwnProperty(match[1]) && match[2] !== 'constructor' && match[2] !== 'prototype') {
+        const target = byName[match[1]];
+        if (typeof match[4] === 'string') {
+          target.members.push(member(match[2], match[4], doc, {static: true, async: !!match[3]}));
+        } else {
+          target.fields.push({name: match[2], static: true, doc: doc, type: staticType(match[5], byName)});
+        }
+      } else if ((match = line.match(/^(\w+)\.([A-Za-z]\w*) = \{$/)) !== null && byName.hasOwnProperty(match[1])) {
+        const entries = [];
+        while (!/^\};/.test(lines[++i])) {
+          const entry = lines[i].match(/^\s+(\w+): (\w+),?$/);
+          entries.push(entry[1] + ': typeof ' + entry[2]);
+        }
+        const type = '{\n' + entries.map((e) => '    ' + e + ';').join('\n') + '\n  }';
+        byName[match[1]].fields.push({name: match[2], static: true, doc: doc, type: type});
+      }
+      doc = null;
+      continue;
+    }
+
+    if (/^\}/.test(line)) {
+      owner = null;
+      block = null;
+      doc = null;
+      continue;
+    }
+
+    if ((match = line.match(/^\s+this\.([A-Za-z]\w*) = /)) !== null) {
+      const name = match[1];
+      if (doc !== null && doc.has('type') && !owner.fields.some((field) => field.name === name)) {
+        owner.fields.push({name: name, static: false, doc: doc, type: type(doc.first('type').type).type});
+      }
+    } else if ((match = line.match(/^  ([A-Za-z]\w*): (?:\/\*\* @type \{(.*)\} \*\/ )?[^(]*[,;]?$/)) !== null &&
+               block === 'object' && doc !== null && doc.has('type')) {
+      owner.fields.push({name: match[1], static: false, doc: doc, type: type(doc.first('type').type).type});
+    } else if ((match = line.match(/^  (?:([A-Za-z]\w*)|\[(Symbol\.\w+)\]): (async )?function(\*)?\((.*)\) \{$/)) !== null) {
+      if (match[1]) {
+        owner.members.push(member(match[1], match[5], doc, {static: false, async: !!match[3]}));
+      } else {
+        owner.members.push(member('[' + match[2] + ']', match[5], doc, {static: false, async: !!match[3]}));
+      }
+    } else if ((match = line.match(/^  (static )?(async )?([A-Za-z]\w*)\((.*)\) \{$/)) !== null && block === 'class') {
+      if (match[3] === 'constructor') {
+        owner.ctor = member('constructor', match[4], doc, {});
+      } else if (match[3].charAt(0) !== '_') {
+        owner.members.push(member(match[3], match[4], doc, {static: !!match[1], async: !!match[2]}));
+      }
+    }
+    if (!/^\s*\*|^\s*\/\*/.test(line)) {
+      doc = null;
+    }
+  }
+
+  declarations.forEach((declaration) => {
+    if (declaration.members) {
+      const hidden = (m) => m.name.charAt(0) === '_' || (m.doc && m.doc.has('private'));
+      declaration.hidden = declaration.members.filter(hidden).map((m) => m.name);
+      declaration.members = declaration.members.filter((m) => !hidden(m));
+    }
+  });
+  return declarations;
+}
+
+/**
+ * @param {string} value The JavaScript value assigned to a static property.
+ * @param {Object} byName The declarations of the module by name.
+ * @returns {string} The type of the value.
+ */
+function staticType(value, byName) {
+  if (/^'.*'$/.test(value)) {
+    return 'string';
+  } else if (/^\d+$/.test(value)) {
+    return 'number';
+  } else if (/^\[('.*'(, )?)*\]$/.test(value)) {
+    return 'string[]';
+  } else if (/^\[[\d, ]*\]$/.test(value)) {
+    return 'number[]';
+  } else if (byName.hasOwnProperty(value)) {
+    return 'typeof ' + value;
+  }
+  return 'any';
+}
+
+/**
+ * @param {JSDoc} jsdoc The documentation.
+ * @param {string} indent The indentation.
+ * @param {boolean} [full=false] Whether the tags are kept or only the description.
+ * @returns {string} The comment, empty if there is nothing to document.
+ */
+function renderDoc(jsdoc, indent, full) {
+  if (!jsdoc) {
+    return '';
+  }
+
+  const lines = full ? jsdoc.text.split('\n') : jsdoc.description;
+  // The tags that are expressed by the declarations themselves are left out, as are repeated blank lines
+  const omitted = /^\s*@(author|callback|constructor|enum|extends|private|property|readonly|template|typedef)\b/;
+  const kept = lines.filter((line) => !omitted.test(line))
+                    .filter((line, index, all) => line.trim() !== '' || (index > 0 && all[index - 1].trim() !== ''));
+  while (kept.length > 0 && kept[kept.length - 1].trim() === '') {
+    kept.pop();
+  }
+  while (kept.length > 0 && kept[0].trim() === '') {
+    kept.shift();
+  }
+  if (kept.length === 0) {
+    return '';
+  }
+  return indent + '/**\n' + kept.map((line) => (indent + ' * ' + line).replace(/\s+$/, '')).join('\n') + '\n' + indent + ' */\n';
+}
+
+/**
+ * @param {string[]} templates The template names.
+ * @returns {string} The type parameters, every one defaulting to any.
+ */
+function renderTemplates(templates) {
+  return templates.length === 0 ? '' : '<' + templates.map((t) => t + ' = any').join(', ') + '>';
+}
+
+/**
+ * @param {Object} member The method.
+ * @returns {string} The parameter list of the method.
+ */
+function renderParams(member) {
+  return member.params.map((p) => p.name + (p.optional ? '?' : '') + ': ' + p.type).join(', ');
+}
+
+/**
+ * @param {Object} member The method.
+ * @returns {string} The name, type parameters, parameters and return type of the method.
+ */
+function renderMethod(member) {
+  const templates = member.templates.length === 0 ? '' : '<' + member.templates.join(', ') + '>';
+  return member.name + templates + '(' + renderParams(member) + '): ' + member.returns;
+}
+
+/**
+ * @param {Object} callback The callback.
+ * @returns {string} The type parameters and function type of the callback.
+ */
+function renderCallback(callback) {
+  return renderTemplates(callback.templates) + ' = (' + renderParams(callback) + ') => ' + callback.returns;
+}
+
+/**
+ * @param {string} name The name of a property.
+ * @returns {string} The name, quoted if it is not an identifier.
+ */
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : "'" + name + "'";
+}
+
+/**
+ * Renders the declarations.
+ *
+ * @param {Array<Object>} declarations The declarations of all the modules.
+ * @returns {string} The content of index.d.ts.
+ */
+function render(declarations) {
+  const out = [];
+  out.push(fs.readFileSync(__filename, 'utf8').split("'use strict';")[0].trim());
+  out.push('');
+  out.push('// Generated by scripts/generate-declarations.js from the JSDoc of the modules, do not edit.');
+  out.push('');
+  out.push('/// <reference types="node" />');
+  out.push('');
+  out.push("import {EventEmitter} from 'events';");
+  out.push("import * as crypto from 'crypto';");
+  out.push("import * as http from 'http';");
+  out.push("import * as https from 'https';");
+  out.push("import * as stream from 'stream';");
+  out.push('');
+  out.push('/**');
+  out.push(' * The membership test every enum has.');
+  out.push(' */');
+  out.push('export interface EnumMembership<V extends string> {');
+  out.push('  has(value: any): value is V;');
+  out.push('}');
+
+  const callbacks = {};
+  declarations.filter((d) => d.kind === 'callback' && d.owner !== null).forEach((d) => {
+    (callbacks[d.owner] = callbacks[d.owner] || []).push(d);
+  });
+
+  declarations.forEach((d) => {
+    out.push('');
+    if (d.kind === 'interface') {
+      const base = d.extends === null ? '' : (/^Record</.test(d.extends) ? '' : ' extends ' + d.extends);
+      out.push(renderDoc(d.doc, '') + 'export interface ' + d.name + renderTemplates(d.templates) + base + ' {');
+      if (d.extends !== null && /^Record</.test(d.extends)) {
+        out.push('  [key: string]: ' + d.extends.replace(/^Record<[^,]+, (.*)>$/, '$1') + ';');
+      }
+      d.properties.forEach((p) => {
+        const doc = p.doc ? '  /** ' + p.doc.replace(/\*\//g, '*\\/') + ' */\n' : '';
+        out.push(doc + '  ' + propertyName(p.name) + (p.optional ? '?' : '') + ': ' + p.type + ';');
+      });
+      out.push('}');
+    } else if (d.kind === 'alias') {
+      out.push(renderDoc(d.doc, '') + 'export type ' + d.name + renderTemplates(d.templates) + ' = ' + d.type + ';');
+    } else if (d.kind === 'callback' && d.owner === null) {
+      out.push(renderDoc(d.doc, '', true) + 'export type ' + d.name + renderCallback(d.callback) + ';');
+    } else if (d.kind === 'enum') {
+      const values = d.values.map((v) => "'" + v[1] + "'").filter((v, i, all) => all.indexOf(v) === i);
+      out.push(renderDoc(d.doc, '') + 'export declare const ' + d.name + ': Readonly<{');
+      d.values.forEach((v) => out.push('  ' + propertyName(v[0]) + ": '" + v[1] + "';"));
+      out.push('}> & EnumMembership<' + d.name + '>;');
+      out.push('export type ' + d.name + ' =');
+      out.push(values.map((v) => '  | ' + v).join('\n') + ';');
+    } else if (d.kind === 'class') {
+      const base = d.extends ? ' extends ' + d.extends : '';
+      out.push(renderDoc(d.doc, '') + 'export declare class ' + d.name + renderTemplates(d.templates) + base + ' {');
+      d.fields.filter((f) => f.static).forEach((f) => out.push(renderDoc(f.doc, '  ') + '  static ' + f.name + ': ' + f.type + ';'));
+      d.fields.filter((f) => !f.static).forEach((f) => out.push(renderDoc(f.doc, '  ') + '  ' + f.name + ': ' + f.type + ';'));
+      if (d.ctor !== null) {
+        out.push(renderDoc(d.ctor.doc !== d.doc ? d.ctor.doc : null, '  ', true) + '  constructor(' + renderParams(d.ctor) + ');');
+      }
+      d.members.forEach((m) => {
+        out.push(renderDoc(m.doc, '  ', true) + '  ' + (m.static ? 'static ' : '') + renderMethod(m) + ';');
+      });
+      out.push('}');
+      if (callbacks.hasOwnProperty(d.name)) {
+        out.push('export declare namespace ' + d.name + ' {');
+        callbacks[d.name].forEach((c) => {
+          const name = c.name.split('.')[1];
+          out.push(renderDoc(c.doc, '  ', true) + '  type ' + name + renderCallback(c.callback) + ';');
+        });
+        out.push('}');
+      }
+    } else if (d.kind === 'object') {
+      out.push(renderDoc(d.doc, '') + 'export declare const ' + d.name + ': {');
+      d.fields.forEach((f) => out.push(renderDoc(f.doc, '  ') + '  ' + f.name + ': ' + f.type + ';'));
+      d.members.forEach((m) => {
+        out.push(renderDoc(m.doc, '  ', true) + '  ' + renderMethod(m) + ';');
+      });
+      out.push('};');
+    }
+  });
+  return out.join('\n').replace(/\n{3,}/g, '\n\n') + '\n';
+}
+
+/**
+ * @returns {string[]} The modules required by index.js, in order.
+ */
+function modules() {
+  const index = fs.readFileSync(path.join(ROOT, 'index.js'), 'utf8');
+  return (index.match(/require\('\.\/lib\/\w+'\)/g) || []).map((r) => path.join(ROOT, r.match(/'\.\/(.*)'/)[1] + '.js'));
+}
+
+/**
+ * @returns {Array<Object>} The declarations of every module exported by index.js.
+ */
+function parse() {
+  return modules().reduce((all, file) => all.concat(parseModule(file)), []);
+}
+
+/**
+ * @returns {string} The generated content of index.d.ts.
+ */
+function generate() {
+  return render(parse());
+}
+
+module.exports = {
+  GLOBAL_TYPES: GLOBAL_TYPES,
+  convertType: convertType,
+  generate: generate,
+  parse: parse
+};
+
+if (require.main === module) {
+  fs.writeFileSync(path.join(ROOT, 'index.d.ts'), generate());
+}
@@ -0,0 +1,222 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+/* jshint mocha:     true  */
+
+'use strict';
+
+const fusionauth = require('../index');
+const AuthenticationMiddleware = fusionauth.AuthenticationMiddleware;
+const FusionAuthClient = fusionauth.FusionAuthClient;
+const JWTManager = fusionauth.JWTManager;
+const MemoryRevocationStore = fusionauth.MemoryRevocationStore;
+const chai = require('chai');
+const http = require('http');
+const querystring = require('querystring');
+
+const applicationId = '00000000-0000-0000-0000-0000000000aa';
+const now = Math.floor(Date.now() / 1000);
+
+// The opaque tokens the fake FusionAuth server accepts and the claims it returns for them
+const tokens = {
+  user: {sub: 'user-1', applicationId: applicationId, roles: ['user'], iat: now},
+  admin: {sub: 'admin-1', applicationId: applicationId, roles: ['user', 'admin'], iat: now},
+  other: {sub: 'user-2', applicationId: 'another-application', roles: ['admin'], iat: now},
+  refreshed: {sub: 'user-1', applicationId: applicationId, roles: ['user'], iat: now}
+};
+
+describe('#AuthenticationMiddleware()', function() {
+  let server;
+  let url;
+  let middleware;
+  let refreshes;
+
+  before((done) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => body += chunk);
+      req.on('end', () => {
+        if (req.url === '/api/jwt/validate') {
+          const claims = tokens[req.headers.authorization.substring('Bearer '.length)];
+          res.writeHead(claims ? 200 : 401, {'Content-Type': 'application/json'});
+          res.end(claims ? JSON.stringify({jwt: claims}) : '');
+        } else if (req.url === '/oauth2/token') {
+          const form = querystring.parse(body);
+          refreshes.push(form);
+          if (form.refresh_token === 'good-refresh-token' && form.client_id === applicationId) {
+            res.writeHead(200, {'Content-Type': 'application/json'});
+            res.end(JSON.stringify({access_token: 'refreshed', expires_in: 3600, refresh_token: 'rotated-refresh-token'}));
+          } else {
+            res.writeHead(400, {'Content-Type': 'application/json'});
+            res.end(JSON.stringify({error: 'invalid_grant'}));
+          }
+        } else {
+          middleware(req, res, (err) => {
+            res.writeHead(err ? 500 : 200, {'Content-Type': 'application/json'});
+            res.end(JSON.stringify(err ? {error: err.message} : req.user));
+          });
+        }
+      });
+    }).listen(0, '127.0.0.1', () => {
+      url = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    refreshes = [];
+    JWTManager.setStore(new MemoryRevocationStore());
+  });
+
+  function create(options) {
+    middleware = AuthenticationMiddleware.create(Object.assign({client: new FusionAuthClient('key', url)}, options));
+  }
+
+  function request(headers) {
+    return new Promise((resolve, reject) => {
+      http.get(url + '/protected', {headers: headers || {}}, (res) => {
+        let body = '';
+        res.on('data', (chunk) => body += chunk);
+        res.on('end', () => resolve({statusCode: res.statusCode, headers: res.headers, body: JSON.parse(body)}));
+      }).on('error', reject);
+    });
+  }
+
+  it('requires a client', () => {
+    chai.expect(() => AuthenticationMiddleware.create({})).to.throw('client');
+  });
+
+  it('sets the claims of a bearer token to the request', async () => {
+    create({applicationId: applicationId});
+    const response = await request({Authorization: 'Bearer user'});
+    chai.expect(response.statusCode).to.equal(200);
+    chai.expect(response.body.sub).to.equal('user-1');
+  });
+
+  it('applies the defaults of options that are undefined', async () => {
+    create({roles: undefined, cookieName: undefined, property: undefined});
+    const response = await request({Cookie: 'app.at=user'});
+    chai.expect(response.statusCode).to.equal(200);
+    chai.expect(response.body.sub).to.equal('user-1');
+  });
+
+  it('reads the token from the access token cookie', async () => {
+    create();
+    const response = await request({Cookie: 'theme=dark; app.at=admin'});
+    chai.expect(response.statusCode).to.equal(200);
+    chai.expect(response.body.sub).to.equal('admin-1');
+  });
+
+  it('rejects requests without a token with 401', async () => {
+    create();
+    const response = await request();
+    chai.expect(response.statusCode).to.equal(401);
+    chai.expect(response.headers['www-authenticate']).to.equal('Bearer');
+    chai.expect(response.body.reason).to.equal('missing');
+  });
+
+  it('rejects invalid tokens with 401', async () => {
+    create();
+    const response = await request({Authorization: 'Bearer forged'});
+    chai.expect(response.statusCode).to.equal(401);
+  });
+
+  it('rejects tokens issued for another application with 401', async () => {
+    create({applicationId: applicationId});
+    const response = await request({Authorization: 'Bearer other'});
+    chai.expect(response.statusCode).to.equal(401);
+    chai.expect(response.body.reason).to.equal('audience');
+  });
+
+  it('rejects revoked tokens with 401', async () => {
+    create();
+    JWTManager.revoke('user-1', 60);
+    const response = await request({Authorization: 'Bearer user'});
+    chai.expect(response.statusCode).to.equal(401);
+    chai.expect(response.body.reason).to.equal('revoked');
+  });
+
+  it('rejects users without any of the roles with 403', async () => {
+    create({roles: ['admin', 'manager']});
+    chai.expect((await request({Authorization: 'Bearer user'})).statusCode).to.equal(403);
+    chai.expect((await request({Authorization: 'Bearer admin'})).statusCode).to.equal(200);
+  });
+
+  it('requires all the roles when requireAllRoles is set', async () => {
+    create({roles: ['user', 'admin'], requireAllRoles: true});
+    chai.expect((await request({Authorization: 'Bearer user'})).statusCode).to.equal(403);
+    chai.expect((await request({Authorization: 'Bearer admin'})).statusCode).to.equal(200);
+  });
+
+  it('refreshes an invalid access token cookie and writes the new tokens', async () => {
+    create({applicationId: applicationId, refresh: true, clientSecret: 'secret'});
+    const response = await request({Cookie: 'app.at=expired; app.rt=good-refresh-token'});
+    chai.expect(response.statusCode).to.equal(200);
+    chai.expect(response.body.sub).to.equal('user-1');
+    chai.expect(refreshes[0].client_secret).to.equal('secret');
+    chai.expect(response.headers['set-cookie']).to.deep.equal([
+      'app.at=refreshed; Path=/; Max-Age=3600; Secure; HttpOnly; SameSite=Lax',
+      'app.rt=rotated-refresh-token; Path=/; Secure; HttpOnly; SameSite=Lax'
+    ]);
+  });
+
+  it('rejects with 401 when the refresh fails', async () => {
+    create({applicationId: applicationId, refresh: true});
+    const response = await request({Cookie: 'app.at=expired; app.rt=revoked-refresh-token'});
+    chai.expect(response.statusCode).to.equal(401);
+    chai.assert.isUndefined(response.headers['set-cookie']);
+  });
+
+  it('does not refresh bearer tokens', async () => {
+    create({applicationId: applicationId, refresh: true});
+    const response = await request({Authorization: 'Bearer expired', Cookie: 'app.rt=good-refresh-token'});
+    chai.expect(response.statusCode).to.equal(401);
+    chai.assert.isEmpty(refreshes);
+  });
+
+  it('calls onFailure instead of responding', async () => {
+    create({onFailure: (req, res, next, failure) => next(new Error('Failed with ' + failure.statusCode))});
+    const response = await request();
+    chai.expect(response.statusCode).to.equal(500);
+    chai.expect(response.body.error).to.equal('Failed with 401');
+  });
+
+  it('passes the errors thrown by onFailure to next', async () => {
+    create({onFailure: () => {
+      throw new Error('Thrown by onFailure');
+    }});
+    const response = await request();
+    chai.expect(response.statusCode).to.equal(500);
+    chai.expect(response.body.error).to.equal('Thrown by onFailure');
+  });
+
+  it('reads cookies named like the functions of Object', async () => {
+    create({});
+    const response = await request({Cookie: 'hasOwnProperty=1; constructor=2; app.at=user'});
+    chai.expect(response.statusCode).to.equal(200);
+    chai.expect(response.body.sub).to.equal('user-1');
+  });
+
+  it('passes errors reaching FusionAuth to next', async () => {
+    middleware = AuthenticationMiddleware.create({client: new FusionAuthClient('key', 'http://127.0.0.1:1')});
+    const response = await request({Authorization: 'Bearer user'});
+    chai.expect(response.statusCode).to.equal(500);
+  });
+});
@@ -0,0 +1,109 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+/* jshint mocha:     true  */
+
+'use strict';
+
+const fusionauth = require('../index');
+const ClientCredentialsProvider = fusionauth.ClientCredentialsProvider;
+const ClientResponse = fusionauth.ClientResponse;
+const RESTClient = fusionauth.RESTClient;
+const chai = require('chai');
+const http = require('http');
+
+/**
+ * A client whose grants return numbered tokens and are recorded.
+ */
+function grantClient(expiresIn) {
+  const client = {grants: [], statusCode: 200};
+  client.withOptions = () => client;
+  client.clientCredentialsGrant = function(client_id, client_secret, scope) {
+    client.grants.push({client_id: client_id, client_secret: client_secret, scope: scope});
+    const clientResponse = new ClientResponse();
+    clientResponse.statusCode = client.statusCode;
+    if (client.statusCode === 200) {
+      clientResponse.successResponse = {access_token: 'token-' + client.grants.length, expires_in: expiresIn, token_type: 'Bearer'};
+    } else {
+      clientResponse.errorResponse = {error: 'invalid_client'};
+    }
+    return new Promise((resolve) => setTimeout(() => resolve(clientResponse), 10));
+  };
+  return client;
+}
+
+describe('#ClientCredentialsProvider()', function() {
+
+  it('reuses the token of a scope until it is about to expire', async () => {
+    const client = grantClient(3600);
+    const provider = new ClientCredentialsProvider(client, {clientId: 'entity-1', clientSecret: 'secret'});
+    chai.expect(await provider.getAccessToken('target-entity:1')).to.equal('token-1');
+    chai.expect(await provider.getAccessToken('target-entity:1')).to.equal('token-1');
+    chai.expect(await provider.getAccessToken('target-entity:2')).to.equal('token-2');
+    chai.expect(client.grants[0]).to.deep.equal({client_id: 'entity-1', client_secret: 'secret', scope: 'target-entity:1'});
+
+    const expiring = new ClientCredentialsProvider(grantClient(20), {clientId: 'entity-1', clientSecret: 'secret'});
+    chai.expect(await expiring.getAccessToken()).to.equal('token-1');
+    chai.expect(await expiring.getAccessToken()).to.equal('token-2');
+  });
+
+  it('shares the grant between concurrent requests', async () => {
+    const client = grantClient(3600);
+    const provider = new ClientCredentialsProvider(client, {clientId: 'entity-1', clientSecret: 'secret'});
+    const tokens = await Promise.all([provider.getAuthorization('a'), provider.getAuthorization('a'), provider.getAuthorization('a')]);
+    chai.expect(tokens).to.deep.equal(['Bearer token-1', 'Bearer token-1', 'Bearer token-1']);
+    chai.expect(client.grants).to.have.lengthOf(1);
+  });
+
+  it('rejects failed grants and does not cache them', async () => {
+    const client = grantClient(3600);
+    client.statusCode = 401;
+    const provider = new ClientCredentialsProvider(client, {clientId: 'entity-1', clientSecret: 'wrong'});
+    try {
+      await provider.getAccessToken();
+      chai.assert.fail('Expected the grant to fail');
+    } catch (err) {
+      chai.expect(err).to.be.an.instanceOf(fusionauth.UnauthorizedError);
+    }
+
+    client.statusCode = 200;
+    chai.expect(await provider.getAccessToken()).to.equal('token-2');
+  });
+
+  it('authorizes requests using an interceptor and requests a new token after a 401', async () => {
+    const client = grantClient(3600);
+    const provider = new ClientCredentialsProvider(client, {clientId: 'entity-1', clientSecret: 'secret'});
+    const authorizations = [];
+    const server = http.createServer((req, res) => {
+      authorizations.push(req.headers.authorization);
+      res.writeHead(req.headers.authorization === 'Bearer token-1' ? 401 : 200, {'Content-Type': 'application/json'});
+      res.end('{}');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const response = await new Promise((resolve) => new RESTClient()
+          .setUrl('http://127.0.0.1:' + server.address().port)
+          .setInterceptors([provider.interceptor('target-entity:1')])
+          .get()
+          .go(resolve));
+      chai.expect(response.statusCode).to.equal(200);
+      chai.expect(authorizations).to.deep.equal(['Bearer token-1', 'Bearer token-2']);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,181 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+/* jshint mocha:     true  */
+
+'use strict';
+
+const fusionauth = require('../index');
+const declarations = require('../scripts/generate-declarations');
+const chai = require('chai');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+describe('#Declarations()', function() {
+  this.timeout(30000);
+
+  let parsed;
+  let byName;
+  before(() => {
+    parsed = declarations.parse();
+    byName = {};
+    parsed.forEach((declaration) => byName[declaration.name] = declaration);
+  });
+
+  /**
+   * @param {Function|Object} value A class or an object.
+   * @param {boolean} statics Whether the static functions of a class are returned rather than its methods.
+   * @param {string[]} hidden The names of the functions documented as private.
+   * @returns {Object<string, number>} The arity of the public functions by name.
+   */
+  function functions(value, statics, hidden) {
+    const target = typeof value === 'function' && !statics ? value.prototype : value;
+    const result = {};
+    Object.getOwnPropertyNames(target)
+        .filter((name) => name !== 'constructor' && /^[a-z]/.test(name) && typeof target[name] === 'function')
+        .filter((name) => hidden.indexOf(name) === -1)
+        .filter((name) => typeof value !== 'function' || ['length', 'name', 'prototype'].indexOf(name) === -1)
+        .forEach((name) => result[name] = target[name].length);
+    if (!statics && Object.getOwnPropertySymbols(target).indexOf(Symbol.asyncIterator) !== -1) {
+      result['[Symbol.asyncIterator]'] = target[Symbol.asyncIterator].length;
+    }
+    return result;
+  }
+
+  /**
+   * @param {Array<Object>} members The declared members.
+   * @returns {Object<string, number>} The number of parameters by name.
+   */
+  function declared(members) {
+    const result = {};
+    members.forEach((member) => result[member.name] = member.params.length);
+    return result;
+  }
+
+  it('are up to date with the JSDoc', () => {
+    const checkedIn = fs.readFileSync(path.join(__dirname, '..', 'index.d.ts'), 'utf8');
+    chai.assert.isTrue(checkedIn === declarations.generate(), 'index.d.ts is out of date, run npm run declarations');
+  });
+
+  [false, true].forEach((strict) => {
+    it('compile with TypeScript' + (strict ? ' in strict mode' : ''), function() {
+      this.timeout(60000);
+      const tsc = path.join(path.dirname(require.resolve('typescript/package.json')), 'bin', 'tsc');
+      const args = [tsc, '--noEmit', '--target', 'es2018', '--module', 'commonjs', '--lib', 'es2018', '--strict', String(strict),
+                    path.join(__dirname, 'declarations', 'usage.ts')];
+      const result = childProcess.spawnSync(process.execPath, args, {encoding: 'utf8', timeout: 55000});
+      chai.assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    });
+  });
+
+  it('declare every export', () => {
+    Object.keys(fusionauth).forEach((name) => {
+      chai.expect(byName, name).to.have.property(name);
+      const kind = byName[name].kind;
+      chai.expect(kind, name).to.equal(typeof fusionauth[name] === 'function' ? 'class' : (fusionauth.FusionAuthClient.enums[name] ? 'enum' : 'object'));
+    });
+  });
+
+  it('declare the methods of the classes and objects with their parameters', () => {
+    Object.keys(fusionauth).filter((name) => byName[name].kind !== 'enum').forEach((name) => {
+      const declaration = byName[name];
+      const value = fusionauth[name];
+      if (declaration.kind === 'class') {
+        chai.expect(declared(declaration.members.filter((m) => !m.static)), name).to.deep.equal(functions(value, false, declaration.hidden));
+        chai.expect(declared(declaration.members.filter((m) => m.static)), name).to.deep.equal(functions(value, true, declaration.hidden));
+      } else {
+        chai.expect(declared(declaration.members), name).to.deep.equal(functions(value, false, declaration.hidden));
+      }
+    });
+  });
+
+  it('declare every FusionAuthClient API call as a Promise for a ClientResponse', () => {
+    const client = byName.FusionAuthClient;
+    const calls = client.members.filter((m) => /^(create|delete|retrieve|search|update|patch)[A-Z]/.test(m.name));
+    chai.expect(calls.length).to.be.above(200);
+    calls.forEach((call) => chai.expect(call.returns, call.name).to.match(/^Promise<ClientResponse<.+>>$/));
+
+    const retrieveUser = client.members.find((m) => m.name === 'retrieveUser');
+    chai.expect(retrieveUser.params).to.deep.equal([{name: 'userId', type: 'UUIDString', optional: false}]);
+    chai.expect(retrieveUser.returns).to.equal('Promise<ClientResponse<UserResponse>>');
+  });
+
+  it('declare the values of the enums', () => {
+    const enums = fusionauth.FusionAuthClient.enums;
+    chai.expect(parsed.filter((d) => d.kind === 'enum').map((d) => d.name).sort()).to.deep.equal(Object.keys(enums).sort());
+    Object.keys(enums).forEach((name) => {
+      const values = {};
+      byName[name].values.forEach((value) => values[value[0]] = value[1]);
+      chai.expect(values, name).to.deep.equal(Object.assign({}, enums[name]));
+    });
+  });
+
+  it('declare every type they reference', () => {
+    const names = {};
+    parsed.forEach((d) => {
+      names[d.name] = true;
+      (d.templates || []).forEach((t) => names[t] = true);
+      (d.members || []).concat(d.ctor ? [d.ctor] : [], d.callback ? [d.callback] : [])
+          .forEach((m) => m.templates.forEach((t) => names[t] = true));
+    });
+    declarations.GLOBAL_TYPES.forEach((name) => names[name] = true);
+
+    const check = (type, where) => {
+      // Leaves out the string literals and the names of the properties and parameters
+      const references = type.replace(/'[^']*'/g, '').replace(/[\w$]+\??:/g, '').match(/[A-Za-z_$][\w$.]*/g) || [];
+      references.filter((reference) => reference !== 'typeof' && !/^(globalThis|http|https|stream|crypto)\./.test(reference))
+          .forEach((reference) => chai.expect(names, where + ' references ' + reference).to.have.property(reference));
+    };
+    parsed.forEach((d) => {
+      if (d.type) {
+        check(d.type, d.name);
+      }
+      if (d.extends) {
+        check(d.extends, d.name);
+      }
+      (d.properties || []).concat(d.fields || []).forEach((p) => check(p.type, d.name + '.' + p.name));
+      (d.members || []).concat(d.ctor ? [d.ctor] : [], d.callback ? [d.callback] : []).forEach((m) => {
+        m.params.forEach((p) => check(p.type, d.name + '.' + m.name));
+        check(m.returns, d.name + '.' + m.name);
+      });
+    });
+  });
+
+  it('declare every name once', () => {
+    const seen = {};
+    parsed.forEach((d) => {
+      chai.expect(seen, d.name).to.not.have.property(d.name);
+      seen[d.name] = true;
+    });
+  });
+
+  it('convert the JSDoc types', () => {
+    const convert = (type) => declarations.convertType(type, {nativeError: true});
+    chai.expect(convert('?string')).to.deep.equal({type: 'string | null', optional: false});
+    chai.expect(convert('number=')).to.deep.equal({type: 'number', optional: true});
+    chai.expect(convert('?(http.Agent|https.Agent)').type).to.equal('http.Agent | https.Agent | null');
+    chai.expect(convert('Object<string, Array<Error>>').type).to.equal('Record<string, Array<globalThis.Error>>');
+    chai.expect(convert('Object<UUIDString, D>').type).to.equal('Record<UUIDString, D>');
+    chai.expect(convert('(string|number)[]').type).to.equal('(string | number)[]');
+    chai.expect(convert('{connect: ?number, total: number}').type).to.equal('{connect: number | null; total: number}');
+    chai.expect(convert('function(string, number=): boolean').type).to.equal('((arg0: string, arg1?: number) => boolean)');
+    chai.expect(convert('RESTClient~interceptor').type).to.equal('RESTClient.interceptor');
+    chai.expect(convert("'reject'|'error'|'resolve'").type).to.equal("'reject' | 'error' | 'resolve'");
+    chai.expect(convert('*').type).to.equal('any');
+    chai.expect(() => convert('Array<string')).to.throw('Expected [>]');
+  });
+});
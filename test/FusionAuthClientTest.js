@@ -15,12 +15,19 @@
  */
 
 /* jshint mocha:     true  */
+/* global AbortController */
 
 'use strict';
 
 const fusionauth = require('../index');
 const FusionAuthClient = fusionauth.FusionAuthClient;
 const chai = require("chai");
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const querystring = require('querystring');
+const stream = require('stream');
 
 const tenantId = '65323339-6137-6531-3135-316238623265';
 let client;
@@ -134,4 +141,384 @@ describe('#FusionAuthClient()', function() {
                   });
   });
 
-});
\ No newline at end of file
+});
+
+describe('#FusionAuthClient() options', function() {
+  let server;
+  let url;
+  let searches;
+  let polls;
+
+  beforeEach((done) => {
+    searches = [];
+    polls = [];
+    server = http.createServer((req, res) => {
+      if (req.url === '/oauth2/device_authorize') {
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify({device_code: 'device-ok', user_code: 'ABCD-EFGH', verification_uri: url + '/oauth2/device', expires_in: 600, interval: 0.02}));
+      } else if (req.url === '/oauth2/token') {
+        let body = '';
+        req.on('data', (data) => body += data);
+        req.on('end', () => {
+          const form = querystring.parse(body);
+          polls.push({at: Date.now(), form: form});
+          const pending = {'device-ok': 3, 'device-slow': 2, 'device-pending': Infinity}[form.device_code] || 0;
+          let error = polls.length < pending ? 'authorization_pending' : null;
+          if (form.device_code === 'device-slow' && polls.length === 1) {
+            error = 'slow_down';
+          } else if (form.device_code === 'device-expired') {
+            error = 'expired_token';
+          }
+          res.writeHead(error ? 400 : 200, {'Content-Type': 'application/json'});
+          res.end(JSON.stringify(error ? {error: error} : {access_token: 'token', expires_in: 3600, token_type: 'Bearer'}));
+        });
+      } else if (req.url === '/api/user/search') {
+        let body = '';
+        req.on('data', (data) => body += data);
+        req.on('end', () => {
+          const search = JSON.parse(body).search;
+          searches.push(search);
+          const start = search.nextResults ? parseInt(Buffer.from(search.nextResults, 'base64').toString(), 10) : (search.startRow || 0);
+          const end = Math.min(start + search.numberOfResults, 7);
+          const users = [];
+          for (let i = start; i < end; i++) {
+            users.push({id: 'user-' + i});
+          }
+          const response = {users: users, total: 7};
+          if (end < 7 && !search.legacy) {
+            response.nextResults = Buffer.from(String(end)).toString('base64');
+          }
+          res.writeHead(200, {'Content-Type': 'application/json'});
+          res.end(JSON.stringify(response));
+        });
+      } else if (req.url === '/api/system/audit-log/export') {
+        res.writeHead(200, {'Content-Type': 'application/zip'});
+        res.write(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+        setTimeout(() => res.end(Buffer.alloc(64 * 1024, 0xff)), 10);
+      } else if (req.url === '/api/system/login-record/export') {
+        res.writeHead(400, {'Content-Type': 'application/json'});
+        res.end('{"fieldErrors":{"criteria.start":[{"code":"[blank]criteria.start"}]}}');
+      } else if (req.url.indexOf('/api/user?') === 0 || req.url.indexOf('/missing/') === 0) {
+        res.writeHead(404);
+        res.end();
+      } else if (req.url === '/api/user') {
+        res.writeHead(400, {'Content-Type': 'application/json'});
+        res.end('{"fieldErrors":{"user.email":[{"code":"[blank]user.email","message":"You must specify [user.email]."}]}}');
+      } else {
+        setTimeout(() => {
+          res.writeHead(200, {'Content-Type': 'application/json'});
+          res.end('{"tenants":[]}');
+        }, 100);
+      }
+    });
+    server.listen(0, '127.0.0.1', () => {
+      url = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  it('Client timeouts apply to every call', async () => {
+    const timeoutClient = new FusionAuthClient('key', url, {timeouts: {total: 20}});
+    try {
+      await timeoutClient.retrieveTenants();
+      chai.assert.fail('Expected the call to time out');
+    } catch (clientResponse) {
+      chai.assert.instanceOf(clientResponse.exception, fusionauth.TimeoutError);
+    }
+  });
+
+  it('withOptions overrides the options of a single call', async () => {
+    const timeoutClient = new FusionAuthClient('key', url).setTimeouts({total: 20});
+    const response = await timeoutClient.withOptions({timeouts: null}).retrieveTenants();
+    chai.assert.isTrue(response.wasSuccessful());
+    chai.assert.deepEqual(timeoutClient.options.timeouts, {total: 20});
+
+    const controller = new AbortController();
+    controller.abort();
+    try {
+      await timeoutClient.withOptions({signal: controller.signal}).retrieveTenants();
+      chai.assert.fail('Expected the call to be aborted');
+    } catch (clientResponse) {
+      chai.assert.instanceOf(clientResponse.exception, fusionauth.AbortError);
+    }
+  });
+
+  it('keepAlive reuses connections until the client is closed', async () => {
+    let connections = 0;
+    server.on('connection', () => connections++);
+    const keepAliveClient = new FusionAuthClient('key', url, {keepAlive: {maxSockets: 2}});
+    chai.assert.isTrue(keepAliveClient.options.agent.keepAlive);
+
+    await keepAliveClient.retrieveTenants();
+    await keepAliveClient.retrieveTenants();
+    chai.assert.strictEqual(connections, 1);
+
+    const agent = keepAliveClient.options.agent;
+    const sockets = [].concat.apply([], Object.values(agent.freeSockets));
+    chai.assert.lengthOf(sockets, 1);
+    keepAliveClient.close();
+    chai.assert.isNull(keepAliveClient.options.agent);
+    chai.assert.isTrue(sockets[0].destroyed);
+  });
+
+  it('use adds interceptors to every call without changing the parent client', async () => {
+    const seen = [];
+    const parent = new FusionAuthClient('key', url).use((request, next) => {
+      seen.push('parent ' + request.method + ' ' + request.headers.Authorization);
+      return next();
+    });
+    const child = parent.withOptions({}).use((request, next) => {
+      seen.push('child');
+      return next();
+    });
+
+    await child.retrieveTenants();
+    await parent.retrieveTenants();
+    chai.assert.deepEqual(seen, ['parent GET key', 'child', 'parent GET key']);
+  });
+
+  it('Calls settle when an interceptor does not return the response', async () => {
+    let sent;
+    const response = await new FusionAuthClient('key', url, {failureMode: 'resolve'}).use((request, next) => {
+      sent = next();
+    }).retrieveTenants();
+    chai.assert.isFalse(response.wasSuccessful());
+    chai.assert.match(response.exception.message, /did not return the ClientResponse/);
+    await sent;
+  });
+
+  it('The error failure mode rejects with a FusionAuthError', async () => {
+    const errorClient = new FusionAuthClient('key', url, {failureMode: 'error'});
+    try {
+      await errorClient.retrieveUserByEmail('nodejs@fusionauth.io');
+      chai.assert.fail('Expected a NotFoundError');
+    } catch (error) {
+      chai.assert.instanceOf(error, fusionauth.NotFoundError);
+      chai.assert.instanceOf(error, Error);
+      chai.assert.strictEqual(error.statusCode, 404);
+      chai.assert.strictEqual(error.method, 'GET');
+      chai.assert.strictEqual(error.path, '/api/user');
+    }
+
+    try {
+      await errorClient.createUser(null, {user: {}});
+      chai.assert.fail('Expected a ValidationError');
+    } catch (error) {
+      chai.assert.instanceOf(error, fusionauth.ValidationError);
+      chai.assert.strictEqual(error.fieldErrors['user.email'][0].code, '[blank]user.email');
+      chai.assert.strictEqual(error.response.statusCode, 400);
+    }
+  });
+
+  it('The resolve failure mode resolves failed calls', async () => {
+    const resolveClient = new FusionAuthClient('key', url).setFailureMode('resolve');
+    let response = await resolveClient.retrieveUserByEmail('nodejs@fusionauth.io');
+    chai.assert.isFalse(response.wasSuccessful());
+    chai.assert.strictEqual(response.statusCode, 404);
+
+    response = await new FusionAuthClient('key', url).withOptions({failureMode: 'resolve'}).createUser(null, {user: {}});
+    chai.assert.strictEqual(response.statusCode, 400);
+    chai.assert.property(response.errorResponse.fieldErrors, 'user.email');
+
+    try {
+      await resolveClient.withOptions({failureMode: 'reject'}).retrieveUserByEmail('nodejs@fusionauth.io');
+      chai.assert.fail('Expected the call to be rejected');
+    } catch (clientResponse) {
+      chai.assert.strictEqual(clientResponse.statusCode, 404);
+    }
+  });
+
+  it('Exports stream the zip archive to a file or a stream', async () => {
+    const exportClient = new FusionAuthClient('key', url);
+    const file = path.join(os.tmpdir(), 'fusionauth-audit-log-' + process.pid + '.zip');
+    try {
+      const response = await exportClient.exportAuditLogs({criteria: {start: 0, end: Date.now()}}, file);
+      chai.assert.isTrue(response.wasSuccessful());
+      chai.assert.isTrue(response.streamed);
+      chai.assert.isNull(response.successResponse);
+      const archive = fs.readFileSync(file);
+      chai.assert.strictEqual(archive.length, 4 + 64 * 1024);
+      chai.assert.strictEqual(archive.readUInt32LE(0), 0x04034b50);
+    } finally {
+      fs.unlinkSync(file);
+    }
+
+    const chunks = [];
+    const collector = new stream.Writable({
+      write: (chunk, encoding, callback) => {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+    await exportClient.exportAuditLogs({}, collector);
+    chai.assert.strictEqual(Buffer.concat(chunks).length, 4 + 64 * 1024);
+  });
+
+  it('A failed export parses the errors and creates no file', async () => {
+    const file = path.join(os.tmpdir(), 'fusionauth-login-records-' + process.pid + '.zip');
+    const response = await new FusionAuthClient('key', url, {failureMode: 'resolve'}).exportLoginRecords({}, file);
+    chai.assert.strictEqual(response.statusCode, 400);
+    chai.assert.isFalse(response.streamed);
+    chai.assert.property(response.errorResponse.fieldErrors, 'criteria.start');
+    chai.assert.isFalse(fs.existsSync(file));
+  });
+
+  it('iterateUsers follows nextResults', async () => {
+    const ids = [];
+    for await (const user of new FusionAuthClient('key', url).iterateUsers({queryString: '*', sortFields: [{name: 'email'}]}, {pageSize: 3})) {
+      ids.push(user.id);
+    }
+    chai.assert.deepEqual(ids, ['user-0', 'user-1', 'user-2', 'user-3', 'user-4', 'user-5', 'user-6']);
+    chai.assert.deepEqual(searches, [
+      {queryString: '*', sortFields: [{name: 'email'}], numberOfResults: 3},
+      {nextResults: 'Mw==', numberOfResults: 3},
+      {nextResults: 'Ng==', numberOfResults: 3}
+    ]);
+  });
+
+  it('iterateUsers advances startRow without nextResults and stops at maxItems', async () => {
+    const client = new FusionAuthClient('key', url, {failureMode: 'resolve'});
+    let ids = [];
+    for await (const user of client.iterateUsers({queryString: '*', legacy: true}, {pageSize: 3})) {
+      ids.push(user.id);
+    }
+    chai.assert.lengthOf(ids, 7);
+    chai.assert.deepEqual(searches.map((search) => search.startRow), [undefined, 3, 6]);
+
+    ids = [];
+    for await (const user of client.iterateUsers({queryString: '*'}, {pageSize: 3, maxItems: 4})) {
+      ids.push(user.id);
+    }
+    chai.assert.deepEqual(ids, ['user-0', 'user-1', 'user-2', 'user-3']);
+    chai.assert.lengthOf(searches, 5);
+  });
+
+  it('iterateUsers throws failed calls', async () => {
+    const client = new FusionAuthClient('key', url + '/missing', {failureMode: 'resolve'});
+    try {
+      for await (const user of client.iterateUsers({queryString: '*'})) {
+        chai.assert.fail('Unexpected user ' + user.id);
+      }
+      chai.assert.fail('Expected the iteration to fail');
+    } catch (clientResponse) {
+      chai.assert.strictEqual(clientResponse.statusCode, 404);
+    }
+  });
+
+  it('pollDeviceAuthorization exchanges the device code until the user approves the device', async () => {
+    const client = new FusionAuthClient('key', url);
+    const device = await client.startDeviceAuthorization('app-1', null, 'offline_access');
+    chai.assert.strictEqual(device.successResponse.user_code, 'ABCD-EFGH');
+
+    const accessToken = await client.pollDeviceAuthorization(device.successResponse, 'app-1', 'secret');
+    chai.assert.strictEqual(accessToken.access_token, 'token');
+    chai.assert.strictEqual(polls.length, 3);
+    chai.assert.deepEqual(polls[0].form, {device_code: 'device-ok', client_id: 'app-1', client_secret: 'secret', grant_type: 'urn:ietf:params:oauth:grant-type:device_code'});
+  });
+
+  it('pollDeviceAuthorization slows down when asked to', async () => {
+    const client = new FusionAuthClient('key', url, {slowDownInterval: 200});
+    const accessToken = await client.pollDeviceAuthorization({device_code: 'device-slow', interval: 0.01}, 'app-1');
+    chai.assert.strictEqual(accessToken.access_token, 'token');
+    chai.assert.isAtLeast(polls[1].at - polls[0].at, 200);
+  });
+
+  it('pollDeviceAuthorization rejects expired device codes and stops when aborted', async () => {
+    const client = new FusionAuthClient('key', url);
+    try {
+      await client.pollDeviceAuthorization({device_code: 'device-expired', interval: 0.01}, 'app-1');
+      chai.assert.fail('Expected the device code to be expired');
+    } catch (error) {
+      chai.assert.instanceOf(error, fusionauth.FusionAuthError);
+      chai.assert.strictEqual(error.response.errorResponse.error, 'expired_token');
+    }
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    try {
+      await client.withOptions({signal: controller.signal}).pollDeviceAuthorization({device_code: 'device-pending', interval: 0.01}, 'app-1');
+      chai.assert.fail('Expected the polling to be aborted');
+    } catch (error) {
+      chai.assert.instanceOf(error, fusionauth.AbortError);
+    }
+  });
+});
+
+describe('#FusionAuthClient() OAuth URLs', function() {
+  const oauthClient = new FusionAuthClient('key', 'https://auth.example.com/').setTenantId('tenant-1');
+
+  it('buildAuthorizeURL adds the parameters that are set', () => {
+    const url = new URL(oauthClient.buildAuthorizeURL({
+      client_id: 'app-1',
+      redirect_uri: 'https://app.example.com/callback?x=1',
+      scope: 'openid offline_access',
+      state: 'state-1',
+      nonce: 'nonce-1',
+      code_challenge: 'challenge',
+      idp_hint: 'idp-1',
+      login_hint: 'jane@example.com'
+    }));
+    chai.assert.strictEqual(url.origin + url.pathname, 'https://auth.example.com/oauth2/authorize');
+    chai.assert.deepEqual(Object.fromEntries(url.searchParams), {
+      client_id: 'app-1',
+      redirect_uri: 'https://app.example.com/callback?x=1',
+      response_type: 'code',
+      scope: 'openid offline_access',
+      state: 'state-1',
+      nonce: 'nonce-1',
+      code_challenge: 'challenge',
+      code_challenge_method: 'S256',
+      idp_hint: 'idp-1',
+      login_hint: 'jane@example.com',
+      tenantId: 'tenant-1'
+    });
+  });
+
+  it('buildAuthorizeURL requires the client_id and the redirect_uri', () => {
+    chai.expect(() => oauthClient.buildAuthorizeURL({client_id: 'app-1'})).to.throw('redirect_uri');
+  });
+
+  it('buildLogoutURL adds the parameters that are set', () => {
+    const url = new URL(oauthClient.buildLogoutURL({
+      client_id: 'app-1',
+      post_logout_redirect_uri: 'https://app.example.com/',
+      id_token_hint: 'id.token.value',
+      tenantId: 'tenant-2'
+    }));
+    chai.assert.strictEqual(url.origin + url.pathname, 'https://auth.example.com/oauth2/logout');
+    chai.assert.deepEqual(Object.fromEntries(url.searchParams), {
+      client_id: 'app-1',
+      post_logout_redirect_uri: 'https://app.example.com/',
+      id_token_hint: 'id.token.value',
+      tenantId: 'tenant-2'
+    });
+    chai.assert.strictEqual(new FusionAuthClient('key', 'https://auth.example.com').buildLogoutURL(),
+                            'https://auth.example.com/oauth2/logout');
+  });
+});
+
+describe('#FusionAuthClient() enums', function() {
+  it('Exports the enums from the package', () => {
+    chai.assert.strictEqual(fusionauth.EventType.UserLoginSuccess, 'user.login.success');
+    chai.assert.strictEqual(fusionauth.KeyAlgorithm.RS256, 'RS256');
+    chai.assert.strictEqual(fusionauth.ClientAuthenticationMethod, FusionAuthClient.enums.ClientAuthenticationMethod);
+    chai.assert.includeMembers(Object.keys(fusionauth), ['LambdaType', 'OAuthErrorReason', 'UnknownScopePolicy', 'BreachAction']);
+  });
+
+  it('Freezes the enums', () => {
+    chai.assert.isTrue(Object.isFrozen(fusionauth.EventType));
+    chai.assert.throws(() => fusionauth.EventType.UserCreate = 'changed', TypeError);
+    chai.assert.strictEqual(fusionauth.EventType.UserCreate, 'user.create');
+  });
+
+  it('Tests the membership of values', () => {
+    chai.assert.isTrue(fusionauth.EventType.has('user.registration.create'));
+    chai.assert.isFalse(fusionauth.EventType.has('UserRegistrationCreate'));
+    chai.assert.isFalse(fusionauth.LambdaType.has(undefined));
+    chai.assert.notInclude(Object.keys(fusionauth.EventType), 'has');
+  });
+});
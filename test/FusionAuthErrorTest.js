@@ -0,0 +1,86 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+/* jshint mocha:     true  */
+
+'use strict';
+
+const fusionauth = require('../index');
+const ClientResponse = fusionauth.ClientResponse;
+const FusionAuthError = fusionauth.FusionAuthError;
+const chai = require('chai');
+
+function responseOf(statusCode, errorResponse, exception) {
+  const response = new ClientResponse();
+  response.statusCode = statusCode;
+  response.errorResponse = errorResponse || null;
+  response.exception = exception || null;
+  response.method = 'POST';
+  response.url = 'https://local.fusionauth.io/api/user/registration?sendSetPasswordEmail=true';
+  return response;
+}
+
+describe('#FusionAuthError()', function() {
+  it('Builds the subclass for the status code', () => {
+    chai.assert.instanceOf(FusionAuthError.fromResponse(responseOf(400)), fusionauth.ValidationError);
+    chai.assert.instanceOf(FusionAuthError.fromResponse(responseOf(401)), fusionauth.UnauthorizedError);
+    chai.assert.instanceOf(FusionAuthError.fromResponse(responseOf(404)), fusionauth.NotFoundError);
+    chai.assert.instanceOf(FusionAuthError.fromResponse(responseOf(429)), fusionauth.RateLimitedError);
+    chai.assert.instanceOf(FusionAuthError.fromResponse(responseOf(500, null, new Error('ECONNREFUSED'))), fusionauth.NetworkError);
+    chai.assert.instanceOf(FusionAuthError.fromResponse(responseOf(null, null, new fusionauth.TimeoutError('total', 5))),
+                           fusionauth.NetworkError);
+
+    const error = FusionAuthError.fromResponse(responseOf(500));
+    chai.assert.strictEqual(error.constructor, FusionAuthError);
+    chai.assert.strictEqual(error.name, 'FusionAuthError');
+  });
+
+  it('Carries the details of the failed call', () => {
+    const errors = {
+      fieldErrors: {'user.email': [{code: '[duplicate]user.email', message: 'A User with email already exists.'}]},
+      generalErrors: [{code: '[LoginPreventedException]', message: 'The user is locked.'}]
+    };
+    const response = responseOf(400, errors);
+    const error = FusionAuthError.fromResponse(response);
+
+    chai.assert.instanceOf(error, Error);
+    chai.assert.instanceOf(error, FusionAuthError);
+    chai.assert.strictEqual(error.name, 'ValidationError');
+    chai.assert.isString(error.stack);
+    chai.assert.strictEqual(error.statusCode, 400);
+    chai.assert.strictEqual(error.method, 'POST');
+    chai.assert.strictEqual(error.path, '/api/user/registration');
+    chai.assert.strictEqual(error.errors, errors);
+    chai.assert.strictEqual(error.fieldErrors, errors.fieldErrors);
+    chai.assert.strictEqual(error.generalErrors, errors.generalErrors);
+    chai.assert.isNull(error.exception);
+    chai.assert.strictEqual(error.response, response);
+    chai.assert.strictEqual(error.message, 'FusionAuth returned status code [400] for [POST /api/user/registration]. ' +
+                                           'The user is locked. [user.email] A User with email already exists.');
+  });
+
+  it('Exposes Retry-After and the underlying exception', () => {
+    const limited = responseOf(429);
+    limited.headers = {'retry-after': '30'};
+    chai.assert.strictEqual(FusionAuthError.fromResponse(limited).retryAfter, 30);
+    chai.assert.isNull(FusionAuthError.fromResponse(responseOf(429)).retryAfter);
+
+    const exception = new Error('socket hang up');
+    const error = FusionAuthError.fromResponse(responseOf(500, null, exception));
+    chai.assert.strictEqual(error.exception, exception);
+    chai.assert.strictEqual(error.message, 'The call to FusionAuth for [POST /api/user/registration] failed: socket hang up');
+  });
+});
@@ -0,0 +1,139 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+/* jshint mocha:     true  */
+
+'use strict';
+
+const fusionauth = require('../index');
+const IdTokenValidator = fusionauth.IdTokenValidator;
+const chai = require('chai');
+const crypto = require('crypto');
+const jwtHelper = require('./helpers/jwt');
+
+const rsa = crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+
+function sign(payload) {
+  return jwtHelper.sign({alg: 'RS256', kid: 'key-1'}, payload, rsa.privateKey);
+}
+
+function claims(overrides) {
+  const now = Math.floor(Date.now() / 1000);
+  return Object.assign({iss: 'https://auth.example.com', sub: 'user-1', aud: 'app-1', iat: now, exp: now + 300, nonce: 'nonce-1'}, overrides);
+}
+
+/**
+ * A client that serves the OpenID configuration and the JSON Web Key Set from memory and counts the downloads.
+ */
+function openIdClient() {
+  const client = {configurations: 0};
+  client.retrieveOpenIdConfiguration = function() {
+    client.configurations++;
+    const response = new fusionauth.ClientResponse();
+    response.statusCode = 200;
+    response.successResponse = {issuer: 'https://auth.example.com', id_token_signing_alg_values_supported: ['RS256']};
+    return Promise.resolve(response);
+  };
+  client.retrieveJsonWebKeySet = function() {
+    const response = new fusionauth.ClientResponse();
+    response.statusCode = 200;
+    response.successResponse = {keys: [Object.assign(rsa.publicKey.export({format: 'jwk'}), {kid: 'key-1', alg: 'RS256'})]};
+    return Promise.resolve(response);
+  };
+  return client;
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  chai.assert.fail('Expected the validation to fail');
+}
+
+describe('#IdTokenValidator()', function() {
+  let client;
+  let validator;
+
+  beforeEach(() => {
+    client = openIdClient();
+    validator = new IdTokenValidator(client, {clientId: 'app-1'});
+  });
+
+  it('requires the clientId', () => {
+    chai.expect(() => new IdTokenValidator(client, {})).to.throw('clientId');
+  });
+
+  it('validates an id token and downloads the configuration once', async () => {
+    const result = await validator.validate(sign(claims()), {nonce: 'nonce-1'});
+    chai.expect(result.sub).to.equal('user-1');
+    await validator.validate(sign(claims()));
+    chai.expect(client.configurations).to.equal(1);
+  });
+
+  it('rejects the issuer, audience and signature of other tokens', async () => {
+    chai.expect((await rejection(validator.validate(sign(claims({iss: 'https://evil.example.com'}))))).reason).to.equal('issuer');
+    chai.expect((await rejection(validator.validate(sign(claims({aud: 'app-2'}))))).reason).to.equal('audience');
+    chai.expect((await rejection(validator.validate(sign(claims({aud: ['app-1', 'app-2'], azp: 'app-2'}))))).reason).to.equal('audience');
+    const forged = sign(claims()).replace(/\.[^.]+$/, '.' + jwtHelper.base64url('forged'));
+    chai.expect((await rejection(validator.validate(forged))).reason).to.equal('signature');
+  });
+
+  it('checks exp and iat with the clock skew', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    await validator.validate(sign(claims({exp: now - 30, iat: now + 30})));
+    chai.expect((await rejection(validator.validate(sign(claims({exp: now - 90}))))).reason).to.equal('expired');
+    chai.expect((await rejection(validator.validate(sign(claims({exp: undefined}))))).reason).to.equal('expired');
+    chai.expect((await rejection(validator.validate(sign(claims({iat: now + 90}))))).reason).to.equal('issuedAt');
+
+    const maxAge = new IdTokenValidator(client, {clientId: 'app-1', maxAge: 600});
+    chai.expect((await rejection(maxAge.validate(sign(claims({iat: now - 700}))))).reason).to.equal('issuedAt');
+  });
+
+  it('checks the nonce', async () => {
+    chai.expect((await rejection(validator.validate(sign(claims()), {nonce: 'nonce-2'}))).reason).to.equal('nonce');
+    chai.expect((await rejection(validator.validate(sign(claims({nonce: undefined})), {nonce: 'nonce-1'}))).reason).to.equal('nonce');
+  });
+
+  it('checks the at_hash and c_hash', async () => {
+    // The example of the OpenID Connect specification
+    chai.expect(IdTokenValidator.hash('jHkWEdUXMU1BwAsC4vtUsZwnNvTIxEl0z9K3vx5KF0Y', 'RS256')).to.equal('77QmUPtjPfzWtF2AnpK9RQ');
+
+    const token = sign(claims({at_hash: IdTokenValidator.hash('access-token', 'RS256'), c_hash: IdTokenValidator.hash('code', 'RS256')}));
+    await validator.validate(token, {accessToken: 'access-token', code: 'code'});
+    chai.expect((await rejection(validator.validate(token, {accessToken: 'other-token'}))).reason).to.equal('hash');
+    chai.expect((await rejection(validator.validate(token, {code: 'other-code'}))).reason).to.equal('hash');
+  });
+
+  it('downloads the configuration again after a failure', async () => {
+    const retrieve = client.retrieveOpenIdConfiguration;
+    const failed = new fusionauth.ClientResponse();
+    failed.statusCode = 500;
+
+    // The failure modes reject, error and resolve of the client
+    for (const failure of [Promise.reject(failed), Promise.reject(new fusionauth.FusionAuthError(failed)), Promise.resolve(failed)]) {
+      failure.catch(() => {});
+      client.retrieveOpenIdConfiguration = () => failure;
+      const error = await rejection(validator.validate(sign(claims())));
+      chai.expect(error).to.be.instanceOf(fusionauth.InvalidJWTError);
+      chai.expect(error.reason).to.equal('unknownKey');
+      chai.expect(error.message).to.contain('[500]');
+    }
+    client.retrieveOpenIdConfiguration = retrieve;
+    chai.expect((await validator.validate(sign(claims()))).sub).to.equal('user-1');
+  });
+});
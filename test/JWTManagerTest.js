@@ -8,6 +8,9 @@
 
 const fusionauth = require('../index');
 const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('#JWTManager()', function() {
   it('Simple revoke and isValid', () => {
@@ -21,4 +24,218 @@ describe('#JWTManager()', function() {
       'exp': Date.now()
     }));
   });
-});
\ No newline at end of file
+
+  it('Revokes the JWTs of the user of a jwt.refresh-token.revoke event for its applications', () => {
+    const userId = '4f4c1f3b-1ad0-4c0b-9f4e-9a1c0f1a6f01';
+    const issuedBefore = {sub: userId, applicationId: 'app-1', exp: Math.floor(Date.now() / 1000) + 30};
+    chai.assert.isTrue(fusionauth.JWTManager.isValid(issuedBefore));
+
+    chai.assert.isTrue(fusionauth.JWTManager.handleEvent({
+      event: {
+        type: 'jwt.refresh-token.revoke',
+        userId: userId,
+        applicationTimeToLiveInSeconds: {'app-1': 60, 'app-2': 3600}
+      }
+    }));
+    chai.assert.isFalse(fusionauth.JWTManager.isValid(issuedBefore));
+    chai.assert.isTrue(fusionauth.JWTManager.isValid({sub: userId, applicationId: 'app-1', exp: Math.floor(Date.now() / 1000) + 120}));
+    chai.assert.isFalse(fusionauth.JWTManager.isValid({sub: userId, applicationId: 'app-2', exp: Math.floor(Date.now() / 1000) + 3000}));
+    chai.assert.isTrue(fusionauth.JWTManager.isValid({sub: userId, applicationId: 'app-2', exp: Math.floor(Date.now() / 1000) + 3700}));
+    chai.assert.isTrue(fusionauth.JWTManager.isValid({sub: userId, applicationId: 'app-3', exp: Math.floor(Date.now() / 1000) + 60}),
+                       'The JWTs of the user for other applications stay valid');
+    chai.assert.isTrue(fusionauth.JWTManager.isValid({sub: 'other-user', applicationId: 'app-1', exp: Math.floor(Date.now() / 1000) + 30}));
+  });
+
+  it('Revokes the JWTs of an application and ignores other events', () => {
+    const jwt = {sub: '4f4c1f3b-1ad0-4c0b-9f4e-9a1c0f1a6f02', applicationId: 'app-3', exp: Math.floor(Date.now() / 1000) + 60};
+    chai.assert.isFalse(fusionauth.JWTManager.handleEvent({event: {type: 'user.login.success', userId: jwt.sub}}));
+    chai.assert.isTrue(fusionauth.JWTManager.isValid(jwt));
+
+    chai.assert.isTrue(fusionauth.JWTManager.handleEvent({type: 'jwt.refresh-token.revoke', applicationTimeToLiveInSeconds: {'app-3': 600}}));
+    chai.assert.isFalse(fusionauth.JWTManager.isValid(jwt));
+    chai.assert.isTrue(fusionauth.JWTManager.isValid(Object.assign({}, jwt, {applicationId: 'app-4'})));
+  });
+
+  it('verify checks the token and then its revocation', async () => {
+    const claims = {sub: '4f4c1f3b-1ad0-4c0b-9f4e-9a1c0f1a6f03', exp: Math.floor(Date.now() / 1000) + 60};
+    const verifier = {
+      verify: (encodedJWT) => encodedJWT === 'valid' ? Promise.resolve(claims) : Promise.reject(new fusionauth.InvalidJWTError('signature', 'Bad'))
+    };
+
+    chai.assert.deepEqual(await fusionauth.JWTManager.verify('valid', verifier), claims);
+    try {
+      await fusionauth.JWTManager.verify('forged', verifier);
+      chai.assert.fail('Expected the verification to fail');
+    } catch (error) {
+      chai.assert.strictEqual(error.reason, 'signature');
+    }
+
+    fusionauth.JWTManager.setVerifier(verifier);
+    fusionauth.JWTManager.revoke(claims.sub, 600);
+    try {
+      await fusionauth.JWTManager.verify('valid');
+      chai.assert.fail('Expected the JWT to be revoked');
+    } catch (error) {
+      chai.assert.strictEqual(error.reason, 'revoked');
+    } finally {
+      fusionauth.JWTManager.setVerifier(null);
+    }
+  });
+
+  describe('revocation stores', () => {
+    const defaultStore = fusionauth.JWTManager.store;
+
+    afterEach(() => {
+      fusionauth.JWTManager.setStore(defaultStore);
+      fusionauth.JWTManager.stop();
+    });
+
+    it('Revokes a single JWT by jti', () => {
+      const exp = Math.floor(Date.now() / 1000) + 60;
+      const jwt = {sub: '4f4c1f3b-1ad0-4c0b-9f4e-9a1c0f1a6f04', jti: 'token-1', exp: exp};
+      fusionauth.JWTManager.revokeJWT(jwt);
+      chai.assert.isFalse(fusionauth.JWTManager.isValid(jwt));
+      chai.assert.isTrue(fusionauth.JWTManager.isValid({sub: jwt.sub, jti: 'token-2', exp: exp}));
+      chai.assert.throws(() => fusionauth.JWTManager.revokeJWT({exp: exp}), /jti/);
+    });
+
+    it('Shares revocations between processes through a file', () => {
+      const file = path.join(os.tmpdir(), 'fusionauth-revocations-' + process.pid + '.jsonl');
+      const thisProcess = new fusionauth.FileRevocationStore(file);
+      const otherProcess = new fusionauth.FileRevocationStore(file);
+      try {
+        fusionauth.JWTManager.setStore(thisProcess);
+        fusionauth.JWTManager.revoke('user-1', 600);
+        fusionauth.JWTManager.revoke('user-2', -1);
+
+        fusionauth.JWTManager.setStore(otherProcess);
+        chai.assert.isFalse(fusionauth.JWTManager.isValid({sub: 'user-1', exp: Math.floor(Date.now() / 1000) + 60}));
+        chai.assert.isTrue(fusionauth.JWTManager.isValid({sub: 'user-2', exp: Math.floor(Date.now() / 1000) + 60}));
+
+        otherProcess.cleanup();
+        chai.assert.lengthOf(fs.readFileSync(file, 'utf8').trim().split('\n'), 1);
+        chai.assert.isNumber(thisProcess.get('user:user-1'));
+        chai.assert.isUndefined(thisProcess.get('user:user-2'));
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('Supports asynchronous stores', async () => {
+      const revocations = {};
+      fusionauth.JWTManager.setStore({
+        get: (key) => Promise.resolve(revocations[key]),
+        set: (key, expiration) => Promise.resolve(revocations[key] = expiration)
+      });
+      await fusionauth.JWTManager.revoke('user-3', 600);
+      chai.assert.isFalse(await fusionauth.JWTManager.isValid({sub: 'user-3', exp: Math.floor(Date.now() / 1000) + 60}));
+      chai.assert.isTrue(await fusionauth.JWTManager.isValid({sub: 'user-4', exp: Math.floor(Date.now() / 1000) + 60}));
+    });
+
+    it('Returns the revocations of events from asynchronous stores', async () => {
+      const revocations = {};
+      fusionauth.JWTManager.setStore({
+        get: (key) => Promise.resolve(revocations[key]),
+        set: (key, expiration) => key === 'application:app-broken' ? Promise.reject(new Error('Unavailable')) :
+            Promise.resolve(revocations[key] = expiration)
+      });
+      const event = {type: 'jwt.refresh-token.revoke', userId: 'user-5', applicationTimeToLiveInSeconds: {'app-1': 600}};
+      chai.assert.isTrue(await fusionauth.JWTManager.handleEvent(event));
+      chai.assert.isNumber(revocations['user:user-5:application:app-1']);
+
+      try {
+        await fusionauth.JWTManager.handleEvent({type: 'jwt.refresh-token.revoke', applicationTimeToLiveInSeconds: {'app-broken': 600}});
+        chai.assert.fail('Expected the revocation to fail');
+      } catch (error) {
+        chai.assert.strictEqual(error.message, 'Unavailable');
+      }
+    });
+
+    it('Compacts the file in one process at a time without losing revocations', () => {
+      const file = path.join(os.tmpdir(), 'fusionauth-compaction-' + process.pid + '.jsonl');
+      const store = new fusionauth.FileRevocationStore(file);
+      const other = new fusionauth.FileRevocationStore(file, {readInterval: 0});
+      const renameSync = fs.renameSync;
+      try {
+        store.set('user:expired', Date.now() - 1000, 0);
+        store.set('user:active', Date.now() + 60000, 60);
+
+        // Another process is compacting the file
+        fs.writeFileSync(file + '.lock', '');
+        store.cleanup();
+        chai.assert.lengthOf(fs.readFileSync(file, 'utf8').trim().split('\n'), 2);
+        fs.unlinkSync(file + '.lock');
+
+        // Another process appends a revocation while the file is replaced
+        fs.renameSync = function(from, to) {
+          fs.renameSync = renameSync;
+          fs.appendFileSync(file, JSON.stringify({key: 'user:appended', expiration: Date.now() + 60000}) + '\n');
+          return renameSync(from, to);
+        };
+        store.cleanup();
+        chai.assert.deepEqual(fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line).key),
+                              ['user:active', 'user:appended']);
+        chai.assert.isNumber(other.get('user:appended'));
+        chai.assert.isFalse(fs.existsSync(file + '.lock'));
+      } finally {
+        fs.renameSync = renameSync;
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('Reads the file at most once per read interval', () => {
+      const file = path.join(os.tmpdir(), 'fusionauth-interval-' + process.pid + '.jsonl');
+      const store = new fusionauth.FileRevocationStore(file, {readInterval: 60000});
+      const other = new fusionauth.FileRevocationStore(file);
+      try {
+        chai.assert.isUndefined(store.get('user:user-6'));
+        other.set('user:user-6', Date.now() + 60000, 60);
+        chai.assert.isUndefined(store.get('user:user-6'));
+
+        store.lastRead = 0;
+        chai.assert.isNumber(store.get('user:user-6'));
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('start and stop the periodic clean-up', (done) => {
+      let cleanups = 0;
+      fusionauth.JWTManager.setStore({get: () => undefined, set: () => {}, cleanup: () => cleanups++});
+      fusionauth.JWTManager.start(5);
+      setTimeout(() => {
+        fusionauth.JWTManager.stop();
+        const count = cleanups;
+        chai.assert.isAtLeast(count, 1);
+        setTimeout(() => {
+          chai.assert.strictEqual(cleanups, count);
+          done();
+        }, 20);
+      }, 30);
+    });
+
+    it('Keeps cleaning up when the store throws', (done) => {
+      let cleanups = 0;
+      fusionauth.JWTManager.setStore({get: () => undefined, set: () => {}, cleanup: () => {
+        cleanups++;
+        throw new Error('EACCES');
+      }});
+      fusionauth.JWTManager.start(5);
+      setTimeout(() => {
+        chai.assert.isAtLeast(cleanups, 2);
+        done();
+      }, 30);
+    });
+
+    it('Removes the expired revocations of the memory store as revocations are recorded', () => {
+      const store = new fusionauth.MemoryRevocationStore();
+      store.set('user:expired', Date.now() - 1000, 0);
+      store.set('user:active', Date.now() + 60000, 60);
+      chai.assert.deepEqual(Object.keys(store.revocations), ['user:expired', 'user:active']);
+
+      store.lastCleanup -= fusionauth.MemoryRevocationStore.CLEANUP_INTERVAL;
+      store.set('user:other', Date.now() + 60000, 60);
+      chai.assert.deepEqual(Object.keys(store.revocations), ['user:active', 'user:other']);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+/* jshint mocha:     true  */
+
+'use strict';
+
+const fusionauth = require('../index');
+const JWTVerifier = fusionauth.JWTVerifier;
+const chai = require('chai');
+const crypto = require('crypto');
+const jwtHelper = require('./helpers/jwt');
+
+const rsa = crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+const ec = crypto.generateKeyPairSync('ec', {namedCurve: 'P-256'});
+const base64url = jwtHelper.base64url;
+const sign = jwtHelper.sign;
+
+function claims(overrides) {
+  const now = Math.floor(Date.now() / 1000);
+  return Object.assign({sub: '00000000-0000-0000-0000-000000000001', iss: 'acme.com', aud: 'app-1', iat: now, exp: now + 300}, overrides);
+}
+
+/**
+ * A client that serves the JSON Web Key Set from memory and counts the downloads. The download fails with the status
+ * code of the client when it is set.
+ */
+function keySetClient(keys) {
+  const client = {downloads: 0, keys: keys, statusCode: 200};
+  client.retrieveJsonWebKeySet = function() {
+    client.downloads++;
+    const response = new fusionauth.ClientResponse();
+    response.statusCode = client.statusCode;
+    if (response.wasSuccessful()) {
+      response.successResponse = {keys: client.keys};
+      return Promise.resolve(response);
+    }
+    return Promise.reject(response);
+  };
+  return client;
+}
+
+function jwk(publicKey, kid, alg) {
+  return Object.assign(publicKey.export({format: 'jwk'}), {kid: kid, alg: alg, use: 'sig'});
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  chai.assert.fail('Expected the verification to fail');
+}
+
+describe('#JWTVerifier()', function() {
+  let client;
+  let verifier;
+
+  beforeEach(() => {
+    client = keySetClient([jwk(rsa.publicKey, 'rsa-1', 'RS256'), jwk(ec.publicKey, 'ec-1', 'ES256')]);
+    verifier = new JWTVerifier(client, {issuer: 'acme.com', audience: 'app-1', hmacSecret: {'hmac-1': 'super-secret'}});
+  });
+
+  it('Verifies RS, ES and HS signatures', async () => {
+    const payload = claims({roles: ['admin']});
+    chai.assert.deepEqual(await verifier.verify(sign({alg: 'RS256', kid: 'rsa-1', typ: 'JWT'}, payload, rsa.privateKey)), payload);
+    chai.assert.deepEqual(await verifier.verify(sign({alg: 'RS512', kid: 'rsa-1'}, payload, rsa.privateKey)), payload);
+    chai.assert.deepEqual(await verifier.verify(sign({alg: 'ES256', kid: 'ec-1'}, payload, ec.privateKey)), payload);
+    chai.assert.deepEqual(await verifier.verify(sign({alg: 'HS256', kid: 'hmac-1'}, payload, 'super-secret')), payload);
+    chai.assert.strictEqual(client.downloads, 1, 'The keys are cached');
+  });
+
+  it('Rejects invalid signatures and algorithms', async () => {
+    const other = crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+    chai.assert.strictEqual((await rejection(verifier.verify(sign({alg: 'RS256', kid: 'rsa-1'}, claims(), other.privateKey)))).reason,
+                            'signature');
+    chai.assert.strictEqual((await rejection(verifier.verify(sign({alg: 'HS256', kid: 'hmac-1'}, claims(), 'guess')))).reason,
+                            'signature');
+    chai.assert.strictEqual((await rejection(verifier.verify(sign({alg: 'ES256', kid: 'rsa-1'}, claims(), ec.privateKey)))).reason,
+                            'algorithm');
+
+    const unsigned = base64url('{"alg":"none"}') + '.' + base64url(JSON.stringify(claims())) + '.';
+    chai.assert.strictEqual((await rejection(verifier.verify(unsigned))).reason, 'algorithm');
+    chai.assert.strictEqual((await rejection(verifier.verify('not-a-jwt'))).reason, 'malformed');
+
+    // Without a configured secret the public keys are never used as HMAC secrets
+    const rsaOnly = new JWTVerifier(client);
+    const confused = sign({alg: 'HS256', kid: 'rsa-1'}, claims(), rsa.publicKey.export({type: 'spki', format: 'pem'}));
+    chai.assert.strictEqual((await rejection(rsaOnly.verify(confused))).reason, 'algorithm');
+  });
+
+  it('Checks exp, nbf, iss and aud', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const verify = (overrides) => verifier.verify(sign({alg: 'RS256', kid: 'rsa-1'}, claims(overrides), rsa.privateKey));
+
+    chai.assert.strictEqual((await rejection(verify({exp: now - 120}))).reason, 'expired');
+    chai.assert.strictEqual((await rejection(verify({nbf: now + 120}))).reason, 'notBefore');
+    chai.assert.strictEqual((await rejection(verify({iss: 'evil.com'}))).reason, 'issuer');
+    chai.assert.strictEqual((await rejection(verify({aud: 'app-2'}))).reason, 'audience');
+
+    // Within the clock skew and with an audience array
+    await verify({exp: now - 30, nbf: now + 30, aud: ['app-2', 'app-1']});
+  });
+
+  it('Refreshes the keys on an unknown kid at most once per interval', async () => {
+    const rotated = crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+    const token = sign({alg: 'RS256', kid: 'rsa-2'}, claims(), rotated.privateKey);
+    verifier.minRefreshInterval = 60000;
+
+    chai.assert.strictEqual((await rejection(verifier.verify(token))).reason, 'unknownKey');
+    chai.assert.strictEqual(client.downloads, 1);
+
+    client.keys = client.keys.concat([jwk(rotated.publicKey, 'rsa-2', 'RS256')]);
+    chai.assert.strictEqual((await rejection(verifier.verify(token))).reason, 'unknownKey');
+    chai.assert.strictEqual(client.downloads, 1, 'The download is rate limited');
+
+    verifier.lastRefresh = Date.now() - 60000;
+    await Promise.all([verifier.verify(token), verifier.verify(token)]);
+    chai.assert.strictEqual(client.downloads, 2, 'Concurrent refreshes share one download');
+  });
+
+  it('Keeps the cached keys when the download fails', async () => {
+    const token = sign({alg: 'RS256', kid: 'rsa-1'}, claims(), rsa.privateKey);
+    await verifier.verify(token);
+
+    client.statusCode = 503;
+    verifier.lastRefresh = 0;
+    const forged = sign({alg: 'RS256', kid: 'forged'}, claims(), rsa.privateKey);
+    const error = await rejection(verifier.verify(forged));
+    chai.assert.instanceOf(error, fusionauth.InvalidJWTError);
+    chai.assert.strictEqual(error.reason, 'unknownKey');
+    chai.assert.include(error.message, '503');
+    chai.assert.strictEqual(client.downloads, 2);
+
+    chai.assert.deepEqual(await verifier.verify(token), JWTVerifier.decode(token).payload);
+  });
+});
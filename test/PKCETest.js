@@ -0,0 +1,50 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+/* jshint mocha:     true  */
+
+'use strict';
+
+const fusionauth = require('../index');
+const PKCE = fusionauth.PKCE;
+const chai = require('chai');
+
+describe('#PKCE()', function() {
+
+  it('generates a verifier and its S256 challenge', () => {
+    const pkce = PKCE.generate();
+    chai.expect(pkce.code_verifier).to.match(/^[A-Za-z0-9_-]{64}$/);
+    chai.expect(pkce.code_challenge).to.equal(PKCE.challenge(pkce.code_verifier));
+    chai.expect(pkce.code_challenge_method).to.equal('S256');
+    chai.expect(PKCE.generate().code_verifier).to.not.equal(pkce.code_verifier);
+  });
+
+  it('generates verifiers of the given length', () => {
+    chai.expect(PKCE.generate(43).code_verifier).to.have.lengthOf(43);
+    chai.expect(PKCE.generate(128).code_verifier).to.have.lengthOf(128);
+    chai.expect(() => PKCE.generate(42)).to.throw('between 43 and 128');
+  });
+
+  it('computes the challenge of RFC 7636', () => {
+    chai.expect(PKCE.challenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+        .to.equal('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+  });
+
+  it('generates random URL safe values', () => {
+    chai.expect(PKCE.randomValue()).to.match(/^[A-Za-z0-9_-]{43}$/);
+    chai.expect(PKCE.randomValue(16)).to.have.lengthOf(22);
+  });
+});
@@ -0,0 +1,92 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+/* jshint mocha:     true  */
+
+'use strict';
+
+const fusionauth = require('../index');
+const FusionAuthClient = fusionauth.FusionAuthClient;
+const chai = require('chai');
+
+/**
+ * Replaces a search method of the client with one that serves the given number of results from memory.
+ */
+function fakeSearch(client, method, property, count, requests) {
+  client[method] = function(request) {
+    requests.push(request);
+    const start = request.search.startRow || 0;
+    const results = [];
+    for (let i = start; i < Math.min(start + request.search.numberOfResults, count); i++) {
+      results.push({id: i});
+    }
+    const response = new fusionauth.ClientResponse();
+    response.statusCode = 200;
+    response.successResponse = {total: count};
+    response.successResponse[property] = results;
+    return Promise.resolve(response);
+  };
+}
+
+describe('#Paginator()', function() {
+  let client;
+  let requests;
+
+  beforeEach(() => {
+    client = new FusionAuthClient('key', 'http://127.0.0.1');
+    requests = [];
+  });
+
+  it('Pages through audit logs using startRow and exposes the total', async () => {
+    fakeSearch(client, 'searchAuditLogs', 'auditLogs', 5, requests);
+    const paginator = client.paginate('searchAuditLogs', {search: {user: 'admin', startRow: 0}}, {pageSize: 2});
+    chai.assert.isNull(paginator.total);
+
+    const ids = [];
+    for await (const auditLog of paginator) {
+      ids.push(auditLog.id);
+      chai.assert.strictEqual(paginator.total, 5);
+    }
+    chai.assert.deepEqual(ids, [0, 1, 2, 3, 4]);
+    chai.assert.deepEqual(requests.map((request) => request.search), [
+      {user: 'admin', startRow: 0, numberOfResults: 2},
+      {user: 'admin', startRow: 2, numberOfResults: 2},
+      {user: 'admin', startRow: 4, numberOfResults: 2}
+    ]);
+  });
+
+  it('Knows the result property of each search method', async () => {
+    fakeSearch(client, 'searchLoginRecords', 'logins', 3, requests);
+    fakeSearch(client, 'searchGroupMembers', 'members', 3, requests);
+    fakeSearch(client, 'searchEntityGrants', 'grants', 3, requests);
+
+    chai.assert.lengthOf(await client.paginate('searchLoginRecords', {search: {}}).toArray(), 3);
+    chai.assert.lengthOf(await client.paginate(client.searchGroupMembers, {search: {}}).toArray(), 3);
+    chai.assert.lengthOf(await client.paginate('searchEntityGrants', {search: {}}, {maxItems: 2}).toArray(), 2);
+    chai.assert.include(fusionauth.Paginator.methods(), 'searchUserComments');
+  });
+
+  it('Keeps the rest of the request on every page', async () => {
+    fakeSearch(client, 'searchEntities', 'entities', 4, requests);
+    await client.paginate('searchEntities', {search: {queryString: '*'}, expand: ['grants']}, {pageSize: 3}).toArray();
+    chai.assert.deepEqual(requests.map((request) => request.expand), [['grants'], ['grants']]);
+  });
+
+  it('Rejects methods that are not paginated', () => {
+    chai.assert.throws(() => client.paginate('searchUsersByIds', {}), /not a paginated search method/);
+    chai.assert.throws(() => client.paginate('retrieveUser', {}), /not a paginated search method/);
+  });
+});
@@ -15,17 +15,335 @@
  */
 
 /* jshint mocha:     true  */
+/* global AbortController */
 
 'use strict';
 
 const fusionauth = require('../index');
 const RESTClient = fusionauth.RESTClient;
 const chai = require('chai');
+const http = require('http');
 let client;
 
+/**
+ * Starts a local HTTP server on a random port that handles requests using the given function.
+ *
+ * @param {Function} handler The request handler.
+ * @returns {Promise<http.Server>} The listening server.
+ */
+function startServer(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function urlOf(server) {
+  return 'http://127.0.0.1:' + server.address().port;
+}
+
+function send(restClient) {
+  return new Promise((resolve) => restClient.go(resolve));
+}
+
 describe('#RESTClient()', function() {
   it('Basic Authorization is Base64 Encoded', () => {
     client = new RESTClient().basicAuthorization('user', 'secret');
     chai.assert.equal(client.headers.Authorization, 'Basic dXNlcjpzZWNyZXQ=', client.headers.Authorization);
   });
-});
\ No newline at end of file
+
+  describe('timeouts and cancellation', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = await startServer((req, res) => {
+        if (req.url === '/slow') {
+          setTimeout(() => res.end('{}'), 500);
+        } else if (req.url === '/stall') {
+          res.writeHead(200, {'Content-Type': 'application/json'});
+          res.write('{');
+          setTimeout(() => res.end('}'), 500);
+        } else {
+          res.writeHead(200, {'Content-Type': 'application/json'});
+          res.end('{"ok":true}');
+        }
+      });
+    });
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    it('Completes when the timeouts are not exceeded', async () => {
+      const response = await send(new RESTClient().setUrl(urlOf(server)).uri('/fast').get()
+                                                  .setTimeouts({connect: 1000, read: 1000, total: 1000}));
+      chai.assert.isTrue(response.wasSuccessful());
+      chai.assert.deepEqual(response.successResponse, {ok: true});
+    });
+
+    it('Total timeout surfaces a TimeoutError', async () => {
+      const response = await send(new RESTClient().setUrl(urlOf(server)).uri('/slow').get().setTimeouts({total: 50}));
+      chai.assert.isFalse(response.wasSuccessful());
+      chai.assert.instanceOf(response.exception, fusionauth.TimeoutError);
+      chai.assert.strictEqual(response.exception.phase, 'total');
+      chai.assert.isNull(response.statusCode);
+    });
+
+    it('Read timeout surfaces a TimeoutError after the response started', async () => {
+      const response = await send(new RESTClient().setUrl(urlOf(server)).uri('/stall').get().setTimeouts({read: 50}));
+      chai.assert.instanceOf(response.exception, fusionauth.TimeoutError);
+      chai.assert.strictEqual(response.exception.phase, 'read');
+      chai.assert.strictEqual(response.statusCode, 200);
+      chai.assert.isFalse(response.wasSuccessful());
+    });
+
+    it('Aborting the signal cancels the request', async () => {
+      const controller = new AbortController();
+      const promise = send(new RESTClient().setUrl(urlOf(server)).uri('/slow').get().setSignal(controller.signal));
+      setTimeout(() => controller.abort('shutdown'), 20);
+      const response = await promise;
+      chai.assert.instanceOf(response.exception, fusionauth.AbortError);
+      chai.assert.strictEqual(response.exception.reason, 'shutdown');
+      chai.assert.isNull(response.statusCode);
+    });
+
+    it('An already aborted signal never sends the request', async () => {
+      let requests = 0;
+      server.on('request', () => requests++);
+      const controller = new AbortController();
+      controller.abort();
+      const response = await send(new RESTClient().setUrl(urlOf(server)).uri('/fast').get().setSignal(controller.signal));
+      chai.assert.instanceOf(response.exception, fusionauth.AbortError);
+      chai.assert.strictEqual(requests, 0);
+    });
+  });
+
+  describe('retries', () => {
+    let server;
+    let requests;
+
+    beforeEach(async () => {
+      requests = [];
+      server = await startServer((req, res) => {
+        requests.push(req.method);
+        if (req.url === '/slow-failure') {
+          setTimeout(() => {
+            res.writeHead(503);
+            res.end();
+          }, 100);
+        } else if (requests.length < 3) {
+          res.writeHead(503, {'Retry-After': '0'});
+          res.end();
+        } else {
+          res.writeHead(200, {'Content-Type': 'application/json'});
+          res.end('{"ok":true}');
+        }
+      });
+    });
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    it('Retries a GET until it succeeds and reports each attempt', async () => {
+      const attempts = [];
+      const policy = new fusionauth.RetryPolicy({onAttempt: (attempt) => attempts.push(attempt)});
+      const response = await send(new RESTClient().setUrl(urlOf(server)).uri('/retry').get().setRetryPolicy(policy));
+      chai.assert.isTrue(response.wasSuccessful());
+      chai.assert.strictEqual(requests.length, 3);
+      chai.assert.deepEqual(attempts.map((a) => [a.attempt, a.response.statusCode, a.willRetry]),
+                            [[1, 503, true], [2, 503, true], [3, 200, false]]);
+    });
+
+    it('Enforces the total timeout across every attempt', async () => {
+      const start = Date.now();
+      const policy = new fusionauth.RetryPolicy({maxAttempts: 10, baseDelay: 0});
+      const response = await send(new RESTClient().setUrl(urlOf(server)).uri('/slow-failure').get().setRetryPolicy(policy)
+                                                  .setTimeouts({total: 250}));
+      chai.assert.isBelow(Date.now() - start, 400);
+      chai.assert.isAtMost(requests.length, 3);
+      chai.assert.instanceOf(response.exception, fusionauth.TimeoutError);
+      chai.assert.strictEqual(response.exception.phase, 'total');
+    });
+
+    it('Does not retry a POST unless opted in', async () => {
+      let response = await send(new RESTClient().setUrl(urlOf(server)).uri('/retry').setJSONBody({}).post()
+                                                .setRetryPolicy(new fusionauth.RetryPolicy()));
+      chai.assert.strictEqual(response.statusCode, 503);
+      chai.assert.strictEqual(requests.length, 1);
+
+      response = await send(new RESTClient().setUrl(urlOf(server)).uri('/retry').setJSONBody({}).post()
+                                            .setRetryPolicy(new fusionauth.RetryPolicy({methods: ['POST']})));
+      chai.assert.isTrue(response.wasSuccessful());
+      chai.assert.deepEqual(requests, ['POST', 'POST', 'POST']);
+    });
+  });
+
+  describe('interceptors', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = await startServer((req, res) => {
+        let body = '';
+        req.on('data', (data) => body += data);
+        req.on('end', () => {
+          res.writeHead(200, {'Content-Type': 'application/json'});
+          res.end(JSON.stringify({method: req.method, url: req.url, correlationId: req.headers['x-correlation-id'] || null, body: body}));
+        });
+      });
+    });
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    it('Run in order around the request', async () => {
+      const calls = [];
+      const response = await send(new RESTClient().setUrl(urlOf(server)).uri('/api/user').urlParameter('email', 'a@b.c')
+                                                  .setJSONBody({user: {}}).post()
+                                                  .setInterceptors([
+                                                    async (request, next) => {
+                                                      calls.push('first:' + request.method + ' ' + request.url);
+                                                      request.headers['X-Correlation-Id'] = '42';
+                                                      const response = await next(request);
+                                                      calls.push('first:' + response.statusCode);
+                                                      return response;
+                                                    },
+                                                    (request, next) => {
+                                                      calls.push('second:' + request.headers['X-Correlation-Id']);
+                                                      return next({method: 'PUT', url: request.url, headers: request.headers, body: '{"changed":true}'})
+                                                          .then((response) => {
+                                                            calls.push('second:' + response.statusCode);
+                                                            response.successResponse.rewritten = true;
+                                                            return response;
+                                                          });
+                                                    }
+                                                  ]));
+      chai.assert.deepEqual(calls, ['first:POST ' + urlOf(server) + '/api/user?email=a%40b.c', 'second:42', 'second:200', 'first:200']);
+      chai.assert.deepEqual(response.successResponse, {
+        method: 'PUT',
+        url: '/api/user?email=a%40b.c',
+        correlationId: '42',
+        body: '{"changed":true}',
+        rewritten: true
+      });
+    });
+
+    it('A failing interceptor completes the request with the exception', async () => {
+      const response = await send(new RESTClient().setUrl(urlOf(server)).get().setInterceptors([() => {
+        throw new Error('Denied');
+      }]));
+      chai.assert.isFalse(response.wasSuccessful());
+      chai.assert.strictEqual(response.exception.message, 'Denied');
+    });
+
+    it('An interceptor that does not return the response completes the request with an exception', async () => {
+      let sent;
+      const response = await send(new RESTClient().setUrl(urlOf(server)).get().setInterceptors([(request, next) => {
+        sent = next(request);
+      }]));
+      chai.assert.isFalse(response.wasSuccessful());
+      chai.assert.strictEqual(response.statusCode, null);
+      chai.assert.match(response.exception.message, /did not return the ClientResponse/);
+      await sent;
+    });
+  });
+
+  describe('response metadata', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = await startServer((req, res) => {
+        res.writeHead(200, {
+          'Content-Type': 'application/json',
+          'Location': '/api/user/1',
+          'Set-Cookie': ['app.at=token; HttpOnly', 'app.rt=refresh; HttpOnly']
+        });
+        res.end('{"name":"Jäne"}');
+      });
+    });
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    it('Exposes the headers, raw body and request details', async () => {
+      const response = await send(new RESTClient().setUrl(urlOf(server)).uri('/api/login').setJSONBody({}).post());
+      chai.assert.isTrue(response.wasSuccessful());
+      chai.assert.strictEqual(response.headers.location, '/api/user/1');
+      chai.assert.strictEqual(response.getHeader('Content-Type'), 'application/json');
+      chai.assert.deepEqual(response.getHeader('set-cookie'), ['app.at=token; HttpOnly', 'app.rt=refresh; HttpOnly']);
+      chai.assert.isTrue(Buffer.isBuffer(response.rawBody));
+      chai.assert.strictEqual(response.rawBody.toString('utf8'), '{"name":"Jäne"}');
+      chai.assert.deepEqual(response.successResponse, {name: 'Jäne'});
+      chai.assert.strictEqual(response.method, 'POST');
+      chai.assert.strictEqual(response.url, urlOf(server) + '/api/login');
+      chai.assert.isAtLeast(response.duration, 0);
+    });
+  });
+
+  describe('response bodies', () => {
+    const zip = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0xff, 0xfe, 0x00, 0x80]);
+    let server;
+
+    beforeEach(async () => {
+      server = await startServer((req, res) => {
+        const bodies = {
+          '/json': ['application/json;charset=UTF-8', '{"user":{"id":"1"}}'],
+          '/problem': ['application/problem+json', '{"detail":"Oops"}'],
+          '/invalid': ['application/json', '{"user":'],
+          '/text': ['text/plain; charset=latin1', Buffer.from('café', 'latin1')],
+          '/zip': ['application/zip', zip],
+          '/untyped': [null, '{"untyped":true}'],
+          '/untyped-text': [null, 'Jäne'],
+          '/untyped-binary': [null, zip],
+          '/empty': ['application/json', '']
+        };
+        const body = bodies[req.url];
+        if (body[0] !== null) {
+          res.setHeader('Content-Type', body[0]);
+        }
+        res.end(body[1]);
+      });
+    });
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    function get(path) {
+      return send(new RESTClient().setUrl(urlOf(server)).uri(path).get());
+    }
+
+    it('Parses JSON', async () => {
+      chai.assert.deepEqual((await get('/json')).successResponse, {user: {id: '1'}});
+      chai.assert.deepEqual((await get('/problem')).successResponse, {detail: 'Oops'});
+      chai.assert.deepEqual((await get('/untyped')).successResponse, {untyped: true});
+      chai.assert.isNull((await get('/empty')).successResponse);
+    });
+
+    it('Records JSON parse failures on the response', async () => {
+      const response = await get('/invalid');
+      chai.assert.strictEqual(response.successResponse, '{"user":');
+      chai.assert.instanceOf(response.parseError, SyntaxError);
+    });
+
+    it('Keeps text as a string and binary as a Buffer', async () => {
+      chai.assert.strictEqual((await get('/text')).successResponse, 'café');
+
+      const response = await get('/zip');
+      chai.assert.isTrue(Buffer.isBuffer(response.successResponse));
+      chai.assert.isTrue(response.successResponse.equals(zip));
+      chai.assert.isNull(response.parseError);
+    });
+
+    it('Keeps a body without a Content-Type as a Buffer unless it is UTF-8 text', async () => {
+      chai.assert.strictEqual((await get('/untyped-text')).successResponse, 'Jäne');
+
+      const response = await get('/untyped-binary');
+      chai.assert.isTrue(Buffer.isBuffer(response.successResponse));
+      chai.assert.isTrue(response.successResponse.equals(zip));
+      chai.assert.isNull(response.parseError);
+    });
+  });
+});
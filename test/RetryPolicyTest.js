@@ -0,0 +1,90 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+/* jshint mocha:     true  */
+
+'use strict';
+
+const fusionauth = require('../index');
+const RetryPolicy = fusionauth.RetryPolicy;
+const ClientResponse = fusionauth.ClientResponse;
+const chai = require('chai');
+
+function responseOf(statusCode, headers) {
+  const response = new ClientResponse();
+  response.statusCode = statusCode;
+  response.headers = headers || {};
+  return response;
+}
+
+describe('#RetryPolicy()', function() {
+  it('Retries transient failures of idempotent methods', () => {
+    const policy = new RetryPolicy();
+    chai.assert.isTrue(policy.shouldRetry(1, 'GET', responseOf(503)));
+    chai.assert.isTrue(policy.shouldRetry(1, 'PUT', responseOf(429)));
+    chai.assert.isTrue(policy.shouldRetry(2, 'DELETE', responseOf(502)));
+    chai.assert.isFalse(policy.shouldRetry(3, 'GET', responseOf(503)), 'maxAttempts reached');
+    chai.assert.isFalse(policy.shouldRetry(1, 'GET', responseOf(404)));
+    chai.assert.isFalse(policy.shouldRetry(1, 'GET', responseOf(200)));
+  });
+
+  it('Retries network errors but not aborted requests', () => {
+    const policy = new RetryPolicy();
+    const failed = new ClientResponse();
+    failed.statusCode = 500;
+    failed.exception = new Error('ECONNRESET');
+    chai.assert.isTrue(policy.shouldRetry(1, 'GET', failed));
+
+    const timedOut = new ClientResponse();
+    timedOut.exception = new fusionauth.TimeoutError('total', 10);
+    chai.assert.isTrue(policy.shouldRetry(1, 'GET', timedOut));
+
+    const aborted = new ClientResponse();
+    aborted.exception = new fusionauth.AbortError();
+    chai.assert.isFalse(policy.shouldRetry(1, 'GET', aborted));
+  });
+
+  it('Only retries POST when opted in', () => {
+    chai.assert.isFalse(new RetryPolicy().shouldRetry(1, 'POST', responseOf(503)));
+    chai.assert.isFalse(new RetryPolicy().shouldRetry(1, 'PATCH', responseOf(503)));
+    chai.assert.isTrue(new RetryPolicy({methods: ['get', 'post']}).shouldRetry(1, 'POST', responseOf(503)));
+  });
+
+  it('Uses exponential backoff capped by maxDelay', () => {
+    const policy = new RetryPolicy({baseDelay: 100, maxDelay: 300, jitter: false});
+    chai.assert.strictEqual(policy.getDelay(1, responseOf(503)), 100);
+    chai.assert.strictEqual(policy.getDelay(2, responseOf(503)), 200);
+    chai.assert.strictEqual(policy.getDelay(3, responseOf(503)), 300);
+
+    const jittered = new RetryPolicy({baseDelay: 100});
+    for (let i = 0; i < 20; i++) {
+      const delay = jittered.getDelay(2, responseOf(503));
+      chai.assert.isAtLeast(delay, 0);
+      chai.assert.isBelow(delay, 200);
+    }
+  });
+
+  it('Honours Retry-After', () => {
+    const policy = new RetryPolicy({maxDelay: 5000});
+    chai.assert.strictEqual(policy.getDelay(1, responseOf(429, {'retry-after': '2'})), 2000);
+    chai.assert.isFalse(policy.shouldRetry(1, 'GET', responseOf(429, {'retry-after': '60'})));
+
+    const date = new Date(Date.now() + 3000).toUTCString();
+    const delay = policy.getDelay(1, responseOf(503, {'retry-after': date}));
+    chai.assert.isAbove(delay, 1000);
+    chai.assert.isAtMost(delay, 3000);
+  });
+});
@@ -0,0 +1,162 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+/* jshint mocha:     true  */
+
+'use strict';
+
+const fusionauth = require('../index');
+const ClientResponse = fusionauth.ClientResponse;
+const TokenSet = fusionauth.TokenSet;
+const chai = require('chai');
+
+function response(statusCode, body) {
+  const clientResponse = new ClientResponse();
+  clientResponse.statusCode = statusCode;
+  if (statusCode === 200) {
+    clientResponse.successResponse = body;
+  } else {
+    clientResponse.errorResponse = body;
+  }
+  return clientResponse;
+}
+
+function jwt(exp) {
+  return 'e30.' + Buffer.from(JSON.stringify({exp: exp})).toString('base64') + '.c2ln';
+}
+
+/**
+ * A client whose refresh calls resolve with the queued responses and are recorded.
+ */
+function refreshClient() {
+  const client = {calls: [], responses: []};
+  client.withOptions = (options) => {
+    client.options = options;
+    return client;
+  };
+  const next = (call) => {
+    client.calls.push(call);
+    return new Promise((resolve) => setTimeout(() => resolve(client.responses.shift()), 10));
+  };
+  client.exchangeRefreshTokenForAccessToken = function(refresh_token, client_id, client_secret, scope) {
+    return next({refresh_token: refresh_token, client_id: client_id, client_secret: client_secret, scope: scope});
+  };
+  client.exchangeRefreshTokenForJWT = function(request) {
+    return next(request);
+  };
+  return client;
+}
+
+describe('#TokenSet()', function() {
+  let client;
+
+  beforeEach(() => {
+    client = refreshClient();
+  });
+
+  it('returns the access token while it is not about to expire', async () => {
+    const tokens = new TokenSet(client, {access_token: 'at-1', refresh_token: 'rt-1', expires_in: 3600});
+    chai.expect(await tokens.getAccessToken()).to.equal('at-1');
+    chai.assert.isEmpty(client.calls);
+    chai.expect(client.options.failureMode).to.equal('resolve');
+  });
+
+  it('refreshes OAuth tokens once for concurrent calls and rotates the refresh token', async () => {
+    const tokens = new TokenSet(client, {access_token: 'at-1', refresh_token: 'rt-1', expires_in: 30},
+                                {clientId: 'app-1', clientSecret: 'secret', scope: 'offline_access'});
+    const refreshed = [];
+    tokens.on('refresh', (set) => refreshed.push(set.accessToken));
+    client.responses.push(response(200, {access_token: 'at-2', refresh_token: 'rt-2', expires_in: 3600}));
+
+    const results = await Promise.all([tokens.getAccessToken(), tokens.getAccessToken(), tokens.getAccessToken()]);
+    chai.expect(results).to.deep.equal(['at-2', 'at-2', 'at-2']);
+    chai.expect(client.calls).to.deep.equal([{refresh_token: 'rt-1', client_id: 'app-1', client_secret: 'secret', scope: 'offline_access'}]);
+    chai.expect(tokens.refreshToken).to.equal('rt-2');
+    chai.assert.isFalse(tokens.isExpiring());
+    chai.expect(refreshed).to.deep.equal(['at-2']);
+  });
+
+  it('keeps the refresh token when it is not rotated', async () => {
+    const tokens = new TokenSet(client, {access_token: 'at-1', refresh_token: 'rt-1', expires_in: 0});
+    client.responses.push(response(200, {access_token: 'at-2', expires_in: 3600}));
+    await tokens.refresh();
+    chai.expect(tokens.refreshToken).to.equal('rt-1');
+  });
+
+  it('refreshes the tokens of the login API using the expiration of the JWT', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const tokens = new TokenSet(client, {token: jwt(now + 10), refreshToken: 'rt-1', tokenExpirationInstant: (now + 10) * 1000});
+    client.responses.push(response(200, {token: jwt(now + 3600), refreshToken: 'rt-2'}));
+    chai.expect(await tokens.getAccessToken()).to.equal(jwt(now + 3600));
+    chai.expect(client.calls[0]).to.deep.equal({refreshToken: 'rt-1', token: jwt(now + 10)});
+    chai.expect(tokens.expiresAt).to.equal((now + 3600) * 1000);
+  });
+
+  it('emits refreshError and returns the token while it has not expired', async () => {
+    const tokens = new TokenSet(client, {access_token: 'at-1', refresh_token: 'rt-1', expires_in: 30});
+    const errors = [];
+    tokens.on('refreshError', (err) => errors.push(err));
+    client.responses.push(response(400, {error: 'invalid_grant'}));
+    chai.expect(await tokens.getAccessToken()).to.equal('at-1');
+    chai.expect(errors).to.have.lengthOf(1);
+    chai.expect(errors[0]).to.be.an.instanceOf(fusionauth.ValidationError);
+  });
+
+  it('rejects when the token has expired and cannot be refreshed', async () => {
+    const tokens = new TokenSet(client, {access_token: 'at-1', refresh_token: 'rt-1', expires_in: 0});
+    client.responses.push(response(400, {error: 'invalid_grant'}));
+    try {
+      await tokens.getAccessToken();
+      chai.assert.fail('Expected the refresh to fail');
+    } catch (err) {
+      chai.expect(err.statusCode).to.equal(400);
+    }
+
+    const withoutRefreshToken = new TokenSet(client, {access_token: 'at-1', expires_in: 0});
+    try {
+      await withoutRefreshToken.getAccessToken();
+      chai.assert.fail('Expected the token to be expired');
+    } catch (err) {
+      chai.expect(err.message).to.contain('expired');
+    }
+  });
+
+  it('refreshes ahead of time once started', async () => {
+    const tokens = new TokenSet(client, {access_token: 'at-1', refresh_token: 'rt-1', expires_in: 2}, {refreshBefore: 1});
+    client.responses.push(response(200, {access_token: 'at-2', expires_in: 3600}));
+    const refreshed = new Promise((resolve) => tokens.once('refresh', resolve));
+    tokens.start();
+    await refreshed;
+    chai.expect(tokens.accessToken).to.equal('at-2');
+    // The next refresh is scheduled once the refresh completes
+    await new Promise((resolve) => setImmediate(resolve));
+    chai.assert.isNotNull(tokens.timer);
+    tokens.stop();
+    chai.assert.isNull(tokens.timer);
+  });
+
+  it('refreshes right away when started with a token that is about to expire', async () => {
+    const tokens = new TokenSet(client, {access_token: 'at-1', refresh_token: 'rt-1', expires_in: 10});
+    client.responses.push(response(200, {access_token: 'at-2', expires_in: 3600}));
+    const refreshed = new Promise((resolve) => tokens.once('refresh', resolve));
+    const start = Date.now();
+    tokens.start();
+    await refreshed;
+    chai.expect(Date.now() - start).to.be.below(500);
+    chai.expect(tokens.accessToken).to.equal('at-2');
+    tokens.stop();
+  });
+});
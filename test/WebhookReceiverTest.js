@@ -0,0 +1,140 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+/* jshint mocha:     true  */
+
+'use strict';
+
+const fusionauth = require('../index');
+const WebhookReceiver = fusionauth.WebhookReceiver;
+const WebhookVerifier = fusionauth.WebhookVerifier;
+const chai = require('chai');
+const http = require('http');
+const jwtHelper = require('./helpers/jwt');
+
+function sign(body) {
+  const payload = {iat: Math.floor(Date.now() / 1000), request_body_sha256: WebhookVerifier.hash(body)};
+  return jwtHelper.sign({alg: 'HS256', kid: 'kid-1'}, payload, 'webhook-secret');
+}
+
+function eventRequest(type) {
+  return {event: {type: type, id: 'event-' + type, user: {id: 'user-1'}}};
+}
+
+describe('#WebhookReceiver()', function() {
+  let receiver;
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    receiver = new WebhookReceiver()
+        .on('user.create', (event) => calls.push('create:' + event.id))
+        .on('user.registration.*', async (event, request) => calls.push('registration:' + request.event.type))
+        .on('*', (event) => calls.push('all:' + event.type));
+  });
+
+  it('runs the handlers matching the type in order', async () => {
+    const result = await receiver.handle(JSON.stringify(eventRequest('user.create')));
+    chai.expect(result.statusCode).to.equal(200);
+    chai.expect(result.event.id).to.equal('event-user.create');
+    chai.expect(calls).to.deep.equal(['create:event-user.create', 'all:user.create']);
+
+    calls = [];
+    await receiver.handle(eventRequest('user.registration.create.complete'));
+    chai.expect(calls).to.deep.equal(['registration:user.registration.create.complete', 'all:user.registration.create.complete']);
+
+    calls = [];
+    await receiver.handle(eventRequest('user.create.complete'));
+    chai.expect(calls).to.deep.equal(['all:user.create.complete']);
+  });
+
+  it('removes handlers', async () => {
+    const handler = (event) => calls.push('removed:' + event.type);
+    receiver.on('user.delete', handler).off('user.delete', handler);
+    await receiver.handle(eventRequest('user.delete'));
+    chai.expect(calls).to.deep.equal(['all:user.delete']);
+  });
+
+  it('rejects bodies that are not events with 400', async () => {
+    chai.expect((await receiver.handle('not json')).statusCode).to.equal(400);
+    chai.expect((await receiver.handle('{"event":{"id":"event-1"}}')).statusCode).to.equal(400);
+    chai.expect((await receiver.handle({})).statusCode).to.equal(400);
+    chai.assert.isEmpty(calls);
+  });
+
+  it('isolates the failing handlers and fails transactional events with 500', async () => {
+    const errors = [];
+    receiver = new WebhookReceiver({onError: (err, event) => errors.push(err.message + ':' + event.type)})
+        .on('user.*', () => {
+          throw new Error('sync');
+        })
+        .on('user.*', () => Promise.reject(new Error('async')))
+        .on('user.*', (event) => calls.push(event.type));
+
+    const transactional = await receiver.handle(eventRequest('user.create'));
+    chai.expect(transactional.statusCode).to.equal(500);
+    chai.expect(transactional.errors.map((err) => err.message)).to.deep.equal(['sync', 'async']);
+
+    const complete = await receiver.handle(eventRequest('user.create.complete'));
+    chai.expect(complete.statusCode).to.equal(200);
+    chai.expect(calls).to.deep.equal(['user.create', 'user.create.complete']);
+    chai.expect(errors).to.deep.equal(['sync:user.create', 'async:user.create', 'sync:user.create.complete', 'async:user.create.complete']);
+  });
+
+  it('identifies the transactional events', () => {
+    chai.assert.isTrue(WebhookReceiver.isTransactional('user.registration.create'));
+    chai.assert.isFalse(WebhookReceiver.isTransactional('user.registration.create.complete'));
+  });
+
+  it('responds to webhook requests with a verified signature using the middleware', async () => {
+    const client = {
+      retrieveKey: (keyId) => {
+        const response = new fusionauth.ClientResponse();
+        response.statusCode = 200;
+        response.successResponse = {key: {id: keyId, kid: 'kid-1', algorithm: 'HS256', type: 'HMAC', secret: 'webhook-secret'}};
+        return Promise.resolve(response);
+      }
+    };
+    receiver.verifier = new WebhookVerifier(client, {signingKeyId: 'key-1'});
+    const middleware = receiver.middleware();
+    const server = http.createServer((req, res) => middleware(req, res, (err) => {
+      res.statusCode = 599;
+      res.end(err.message);
+    }));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    const post = (body, signature) => new Promise((resolve, reject) => {
+      const headers = {'Content-Type': 'application/json'};
+      if (signature) {
+        headers['X-FusionAuth-Signature-JWT'] = signature;
+      }
+      http.request('http://127.0.0.1:' + server.address().port, {method: 'POST', headers: headers}, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      }).on('error', reject).end(body);
+    });
+
+    try {
+      const body = JSON.stringify(eventRequest('user.create'));
+      chai.expect(await post(body, sign(body))).to.equal(200);
+      chai.expect(await post(body)).to.equal(401);
+      chai.expect(await post(body.replace('user-1', 'user-2'), sign(body))).to.equal(401);
+      chai.expect(calls).to.deep.equal(['create:event-user.create', 'all:user.create']);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,142 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+/* jshint mocha:     true  */
+
+'use strict';
+
+const fusionauth = require('../index');
+const WebhookVerifier = fusionauth.WebhookVerifier;
+const chai = require('chai');
+const crypto = require('crypto');
+const jwtHelper = require('./helpers/jwt');
+
+const rsa = crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+const hmacSecret = 'webhook-secret';
+
+function sign(alg, payload) {
+  return jwtHelper.sign({alg: alg, kid: 'kid-1'}, payload, alg === 'HS256' ? hmacSecret : rsa.privateKey);
+}
+
+function signBody(alg, body, overrides) {
+  return sign(alg, Object.assign({iat: Math.floor(Date.now() / 1000), request_body_sha256: WebhookVerifier.hash(body)}, overrides));
+}
+
+/**
+ * A client that serves the signing key and the JSON Web Key Set from memory and counts the retrievals.
+ */
+function keyClient(key) {
+  const client = {retrievals: 0};
+  client.retrieveKey = function(keyId) {
+    client.retrievals++;
+    const response = new fusionauth.ClientResponse();
+    response.statusCode = 200;
+    response.successResponse = {key: Object.assign({id: keyId, kid: 'kid-1'}, key)};
+    return Promise.resolve(response);
+  };
+  client.retrieveJsonWebKeySet = function() {
+    const response = new fusionauth.ClientResponse();
+    response.statusCode = 200;
+    response.successResponse = {keys: [Object.assign(rsa.publicKey.export({format: 'jwk'}), {kid: 'kid-1', alg: 'RS256'})]};
+    return Promise.resolve(response);
+  };
+  return client;
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  chai.assert.fail('Expected the verification to fail');
+}
+
+const body = JSON.stringify({event: {type: 'user.create', id: 'event-1', user: {id: 'user-1'}}});
+
+describe('#WebhookVerifier()', function() {
+
+  it('verifies HMAC signatures using the signing key', async () => {
+    const client = keyClient({algorithm: 'HS256', type: 'HMAC', secret: hmacSecret});
+    const verifier = new WebhookVerifier(client, {signingKeyId: 'key-1'});
+    const event = await verifier.verify(Buffer.from(body), signBody('HS256', body));
+    chai.expect(event.event.id).to.equal('event-1');
+
+    await verifier.verify(body, signBody('HS256', body, {iat: Math.floor(Date.now() / 1000) - 1}));
+    chai.expect(client.retrievals).to.equal(1);
+  });
+
+  it('verifies RSA signatures using the signing key or the JSON Web Key Set', async () => {
+    const withKey = new WebhookVerifier(keyClient({algorithm: 'RS256', type: 'RSA', publicKey: rsa.publicKey.export({type: 'spki', format: 'pem'})}), {signingKeyId: 'key-1'});
+    chai.expect((await withKey.verify(body, signBody('RS256', body))).event.type).to.equal('user.create');
+
+    const withKeySet = new WebhookVerifier(keyClient({}));
+    chai.expect((await withKeySet.verify(body, signBody('RS256', body))).event.type).to.equal('user.create');
+  });
+
+  it('rejects forged signatures and other algorithms', async () => {
+    const verifier = new WebhookVerifier(keyClient({algorithm: 'HS256', type: 'HMAC', secret: 'another-secret'}), {signingKeyId: 'key-1'});
+    chai.expect((await rejection(verifier.verify(body, signBody('HS256', body)))).reason).to.equal('signature');
+    chai.expect((await rejection(verifier.verify(body, signBody('RS256', body)))).reason).to.equal('algorithm');
+    chai.expect((await rejection(verifier.verify(body, undefined))).reason).to.equal('malformed');
+  });
+
+  it('rejects bodies that do not match the signature', async () => {
+    const verifier = new WebhookVerifier(keyClient({algorithm: 'HS256', type: 'HMAC', secret: hmacSecret}), {signingKeyId: 'key-1'});
+    const tampered = body.replace('user-1', 'user-2');
+    chai.expect((await rejection(verifier.verify(tampered, signBody('HS256', body)))).reason).to.equal('body');
+    chai.expect((await rejection(verifier.verify(body, sign('HS256', {iat: Math.floor(Date.now() / 1000)})))).reason).to.equal('body');
+  });
+
+  it('rejects replayed and old signatures', async () => {
+    const verifier = new WebhookVerifier(keyClient({algorithm: 'HS256', type: 'HMAC', secret: hmacSecret}), {signingKeyId: 'key-1'});
+    const signature = signBody('HS256', body);
+    await verifier.verify(body, signature);
+    chai.expect((await rejection(verifier.verify(body, signature))).reason).to.equal('replayed');
+
+    const old = signBody('HS256', body, {iat: Math.floor(Date.now() / 1000) - 600});
+    chai.expect((await rejection(verifier.verify(body, old))).reason).to.equal('issuedAt');
+  });
+
+  it('rejects with an InvalidJWTError when the signing key cannot be retrieved', async () => {
+    const client = keyClient({algorithm: 'HS256', type: 'HMAC', secret: hmacSecret});
+    const retrieveKey = client.retrieveKey;
+    const failed = new fusionauth.ClientResponse();
+    failed.statusCode = 401;
+    const verifier = new WebhookVerifier(client, {signingKeyId: 'key-1'});
+
+    // The failure modes reject, error and resolve of the client
+    for (const failure of [Promise.reject(failed), Promise.reject(new fusionauth.FusionAuthError(failed)), Promise.resolve(failed)]) {
+      failure.catch(() => {});
+      client.retrieveKey = () => failure;
+      const error = await rejection(verifier.verify(body, signBody('HS256', body)));
+      chai.expect(error).to.be.instanceOf(fusionauth.InvalidJWTError);
+      chai.expect(error.reason).to.equal('unknownKey');
+    }
+
+    client.retrieveKey = retrieveKey;
+    chai.expect((await verifier.verify(body, signBody('HS256', body))).event.id).to.equal('event-1');
+  });
+
+  it('forgets the signatures once they are too old to be accepted', async () => {
+    const verifier = new WebhookVerifier(keyClient({algorithm: 'HS256', type: 'HMAC', secret: hmacSecret}), {signingKeyId: 'key-1', maxAge: 60, clockSkew: 0});
+    await verifier.verify(body, signBody('HS256', body));
+    verifier._forget(Date.now() / 1000 + 30);
+    chai.expect(verifier.seen.size).to.equal(1);
+    verifier._forget(Date.now() / 1000 + 61);
+    chai.expect(verifier.seen.size).to.equal(0);
+  });
+});
@@ -0,0 +1,83 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+// Compiled (never run) by test/DeclarationsTest.js to check that index.d.ts can be used from TypeScript.
+
+import {
+  AuthenticationMiddleware,
+  ClientCredentialsProvider,
+  ClientResponse,
+  EventType,
+  FileRevocationStore,
+  FusionAuthClient,
+  FusionAuthError,
+  JWTVerifier,
+  PKCE,
+  ProxyAgent,
+  RetryPolicy,
+  TokenSet,
+  UserResponse,
+  WebhookVerifier
+} from '../../index';
+
+async function usage(): Promise<void> {
+  const client = new FusionAuthClient('api-key', 'http://localhost:9011', {
+    failureMode: 'error',
+    proxy: false,
+    retryPolicy: new RetryPolicy({maxAttempts: 3}),
+    slowDownInterval: 1000,
+    timeouts: {connect: 1000, read: 5000, total: 10000}
+  });
+  client.use(async (request, next) => {
+    request.headers['X-Request-Id'] = 'request-1';
+    return next(request);
+  });
+
+  try {
+    const response: ClientResponse<UserResponse> = await client.retrieveUser('00000000-0000-0000-0000-000000000001');
+    const email: string | undefined = response.successResponse?.user?.email;
+    console.log(email, response.statusCode);
+  } catch (error) {
+    if (error instanceof FusionAuthError) {
+      console.log(error.statusCode, error.fieldErrors);
+    }
+  }
+
+  for await (const user of client.iterateUsers({queryString: '*'}, {pageSize: 50})) {
+    console.log(user);
+  }
+
+  const verifier = new JWTVerifier(client, {audience: 'app-1'});
+  const claims = await verifier.verify('encoded.jwt.value');
+  console.log(claims.sub, JWTVerifier.decode('encoded.jwt.value'));
+
+  const pair = PKCE.generate();
+  console.log(pair.code_verifier, PKCE.challenge(pair.code_verifier));
+
+  const tokens = new TokenSet(client, {access_token: 'token', expires_in: 3600});
+  tokens.on('refresh', () => console.log('refreshed'));
+  console.log(await tokens.getAccessToken());
+
+  const credentials = new ClientCredentialsProvider(client, {clientId: 'client', clientSecret: 'secret'});
+  client.withOptions({failureMode: 'resolve'}).use(credentials.interceptor('target-entity-type:read'));
+
+  console.log(new ProxyAgent('http://proxy:3128'), ProxyAgent.resolve('https://fusionauth.io', true));
+  console.log(new FileRevocationStore('/tmp/revocations', {readInterval: 500}).get('user-1'));
+  console.log(await new WebhookVerifier(client).verify(Buffer.from('{}'), 'signature'));
+  console.log(AuthenticationMiddleware.create({client: client, roles: ['admin']}), EventType.UserCreate);
+}
+
+usage().catch((error) => console.error(error));
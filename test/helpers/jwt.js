@@ -0,0 +1,51 @@
+/*
+ * Copyright (c) 2024, FusionAuth, All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * @param {Buffer|string} value The value.
+ * @returns {string} The value encoded as base64url, without padding.
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Signs the tokens of the tests.
+ *
+ * @param {Object} header The header, with the alg (HS*, ES256 or RS*).
+ * @param {Object} payload The claims.
+ * @param {crypto.KeyObject|Buffer|string} key The HMAC secret or the private key.
+ * @returns {string} The encoded JWT.
+ */
+function sign(header, payload, key) {
+  const signingInput = base64url(JSON.stringify(header)) + '.' + base64url(JSON.stringify(payload));
+  let signature;
+  if (header.alg.indexOf('HS') === 0) {
+    signature = crypto.createHmac('sha' + header.alg.substring(2), key).update(signingInput).digest();
+  } else if (header.alg.indexOf('ES') === 0) {
+    signature = crypto.sign('sha256', Buffer.from(signingInput), {key: key, dsaEncoding: 'ieee-p1363'});
+  } else {
+    signature = crypto.sign('sha' + header.alg.substring(2), Buffer.from(signingInput), key);
+  }
+  return signingInput + '.' + base64url(signature);
+}
+
+exports.base64url = base64url;
+exports.sign = sign;